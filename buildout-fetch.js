@@ -0,0 +1,145 @@
+// buildout-fetch.js
+// Resilient GETs against the Buildout API for server.js's crawls.  A crawl is
+// dozens of requests, and one dropped page used to throw the whole crawl
+// away, so each request here
+//   - times out instead of hanging the refresh,
+//   - is retried on network errors, timeouts, 429 and 5xx with exponential
+//     backoff (plus jitter), waiting as long as a Retry-After header asks,
+//   - fails fast while the circuit breaker is open: after failureThreshold
+//     attempts in a row have failed (retries included, so one request that
+//     runs out of retries is enough), Buildout is left alone for resetMs,
+//     then the next crawl's requests are trials (no retries) that close it
+//     again on success or re-open it on failure.  Counting attempts rather
+//     than requests matters because a crawl stops at its first request to
+//     fail for good; counting those, the breaker would need several failed
+//     refreshes in a row, a day apart on the default schedule.
+// Other 4xx (a bad API key, say) are not retried; they won't get better.
+//
+// One fetcher per tenant (Buildout account), so one account's outage doesn't
+// trip the breaker for the others.
+
+const axios = require('axios');
+
+const DEFAULTS = {
+  timeoutMs: 30 * 1000,
+  retries: 4, // after the first attempt
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000, // a longer Retry-After gives up on the request
+  failureThreshold: 5, // failed attempts in a row; one request's worth of retries
+  resetMs: 5 * 60 * 1000
+};
+
+class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super(`Buildout circuit open until ${retryAt.toISOString()}; not calling the API`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+// Wait `ms`, or reject with the signal's reason as soon as it is aborted.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Retry-After is either seconds or an HTTP date.  Returns ms, or null.
+function retryAfterMs(header, now = Date.now()) {
+  if (header == null || header === '') return null;
+  if (/^\d+$/.test(String(header).trim())) return Number(header) * 1000;
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(at - now, 0);
+}
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return true; // network error or timeout: no response at all
+}
+
+// How a failed attempt failed, for metrics: 'http' (Buildout answered with
+// an error status), 'timeout' or 'network'.
+function failureReason(err) {
+  if (err.response) return 'http';
+  return ['ECONNABORTED', 'ETIMEDOUT'].includes(err.code) ? 'timeout' : 'network';
+}
+
+// `log` gets one line per retry; `onRequest`, if given, is told about every
+// attempt as { resource, status, reason, durationMs } (status null and
+// reason set when it failed; reason 'circuit_open' when it never left).
+// Returns { get(url, { label, resource, signal }), state() }.  Aborting
+// `signal` cancels the request and any pending retry; a cancelled request
+// isn't a failure, so it neither counts toward the breaker nor is reported.
+function createBuildoutFetcher(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const log = opts.log || console.warn;
+  const onRequest = opts.onRequest || (() => {});
+  const breaker = { failures: 0, openUntil: 0 };
+
+  // 'closed', 'open' or 'half-open' (open, but due a trial request).
+  const state = () => {
+    if (!breaker.openUntil) return 'closed';
+    return Date.now() < breaker.openUntil ? 'open' : 'half-open';
+  };
+
+  // Exponential backoff with jitter: ~1s, 2s, 4s, ... capped at maxDelayMs.
+  const backoffMs = (attempt) =>
+    Math.min(opts.maxDelayMs, opts.baseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2));
+
+  async function get(url, { label = url, resource = null, signal } = {}) {
+    if (signal?.aborted) throw signal.reason;
+    if (state() === 'open') {
+      onRequest({ resource, status: null, reason: 'circuit_open', durationMs: 0 });
+      throw new CircuitOpenError(new Date(breaker.openUntil));
+    }
+
+    for (let attempt = 0; ; attempt += 1) {
+      const started = Date.now();
+      try {
+        const res = await axios.get(url, { timeout: opts.timeoutMs, signal });
+        onRequest({ resource, status: res.status, reason: null, durationMs: Date.now() - started });
+        breaker.failures = 0;
+        breaker.openUntil = 0;
+        return res;
+      } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        const status = err.response?.status;
+        onRequest({
+          resource,
+          status: status ?? null,
+          reason: failureReason(err),
+          durationMs: Date.now() - started
+        });
+        breaker.failures += 1;
+        if (state() === 'half-open' || breaker.failures >= opts.failureThreshold) {
+          breaker.openUntil = Date.now() + opts.resetMs;
+        }
+        const waitMs = status === 429 || status === 503
+          ? retryAfterMs(err.response.headers?.['retry-after']) ?? backoffMs(attempt)
+          : backoffMs(attempt);
+        // Trials (and anything in flight when the breaker opened, this
+        // attempt included) get no more tries; a Retry-After beyond
+        // maxDelayMs is Buildout asking us to stay away, so stop there too.
+        const retry = isRetryable(err) && attempt < opts.retries &&
+          state() === 'closed' && waitMs <= opts.maxDelayMs;
+        if (!retry) throw err;
+        log(`↻ ${label}: ${status ? `HTTP ${status}` : err.code || err.message}; retry ${attempt + 1}/${opts.retries} in ${Math.round(waitMs / 100) / 10}s`);
+        await sleep(waitMs, signal);
+      }
+    }
+  }
+
+  return { get, state };
+}
+
+module.exports = { createBuildoutFetcher, CircuitOpenError, retryAfterMs };
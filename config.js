@@ -0,0 +1,260 @@
+// config.js
+// Proxy settings, read once at startup from environment variables and an
+// optional JSON config file.  Environment variables win over the file, and
+// the file over the defaults below.  The file is CONFIG_FILE if set, else
+// config.json next to this module when it exists, e.g.
+//   { "apiKey": "...", "refreshIntervalHours": 6, "allowedOrigins": ["https://example.com"] }
+//
+//   setting                 env variable              default
+//   apiKey                  BUILDOUT_API_KEY          (required unless tenants are set)
+//   baseUrl                 BUILDOUT_API_BASE         https://buildout.com/api/v1
+//   pageLimit               BUILDOUT_PAGE_LIMIT       1000 (Buildout's max)
+//   refreshIntervalHours    REFRESH_INTERVAL_HOURS    24
+//   cacheDir                CACHE_DIR                 ./data
+//   allowedOrigins          ALLOWED_ORIGINS           * (comma separated)
+//   port                    PORT                      3000
+//   adminToken              ADMIN_TOKEN               none; see server.js POST /api/refresh
+//   refreshHmacSecret       REFRESH_HMAC_SECRET       none; ditto
+//   refreshCooldownSeconds  REFRESH_COOLDOWN_SECONDS  300
+//   branding                (file only)               { name: 'Lee & Associates' }
+//   tenants                 (file only)               none; see loadConfig()
+//
+// loadConfig() throws a ConfigError naming every problem, so a bad deploy
+// fails at boot with a clear message instead of on the first Buildout call.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+const MAX_PAGE_LIMIT = 1000;
+
+const ENV_VARS = {
+  apiKey: 'BUILDOUT_API_KEY',
+  baseUrl: 'BUILDOUT_API_BASE',
+  pageLimit: 'BUILDOUT_PAGE_LIMIT',
+  refreshIntervalHours: 'REFRESH_INTERVAL_HOURS',
+  cacheDir: 'CACHE_DIR',
+  allowedOrigins: 'ALLOWED_ORIGINS',
+  port: 'PORT',
+  adminToken: 'ADMIN_TOKEN',
+  refreshHmacSecret: 'REFRESH_HMAC_SECRET',
+  refreshCooldownSeconds: 'REFRESH_COOLDOWN_SECONDS'
+};
+
+const DEFAULTS = {
+  baseUrl: 'https://buildout.com/api/v1',
+  pageLimit: MAX_PAGE_LIMIT,
+  refreshIntervalHours: 24,
+  cacheDir: path.join(__dirname, 'data'),
+  allowedOrigins: ['*'],
+  port: 3000,
+  refreshCooldownSeconds: 300
+};
+
+// Short refresh credentials are guessable; ask for something random.
+const MIN_SECRET_LENGTH = 16;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function readConfigFile(file, problems) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    problems.push(`${file} must contain a JSON object`);
+  } catch (err) {
+    problems.push(`cannot read config file ${file}: ${err.message}`);
+  }
+  return {};
+}
+
+const isBlank = (v) => v === undefined || v === null || v === '';
+
+// "a, b" or ["a", "b"] -> ['a', 'b']
+const toList = (v) =>
+  (Array.isArray(v) ? v : String(v).split(',')).map((s) => String(s).trim()).filter(Boolean);
+
+// Tenant ids share the /api/<tenant>/... namespace with the proxy's own
+// routes (server.js), so those names can't be tenants.
+const RESERVED_TENANT_IDS = [
+  'listings', 'brokers', 'lease_spaces', 'suggest', 'changes', 'refresh',
+  'report', 'stats', 'branding', 'tenants', 'status'
+];
+const DEFAULT_TENANT = 'default';
+const DEFAULT_BRANDING = { name: 'Lee & Associates', logoUrl: null };
+
+// BUILDOUT_API_KEY_<TENANT>, e.g. BUILDOUT_API_KEY_DENVER_NORTH for
+// "denver-north", so tenant keys can stay out of the config file too.
+const tenantKeyVar = (id) => `${ENV_VARS.apiKey}_${id.toUpperCase().replace(/-/g, '_')}`;
+
+// Validated settings.  `env` and `file` are overridable for scripts.
+//
+// Each Buildout account served is a tenant: { id, apiKey, baseUrl,
+// pageLimit, refreshIntervalHours, branding: { name, logoUrl } }.  The
+// top-level settings describe the "default" tenant, served at /api/...;
+// the file's optional "tenants" object adds more, served at
+// /api/<tenant>/..., each inheriting baseUrl, pageLimit and
+// refreshIntervalHours from the top level unless it sets its own:
+//   { "apiKey": "...", "tenants": { "west": { "refreshIntervalHours": 6,
+//     "branding": { "name": "Lee & Associates West" } } } }
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const problems = [];
+  let fromFile = {};
+  if (file) {
+    fromFile = readConfigFile(path.resolve(file), problems);
+  } else if (fs.existsSync(DEFAULT_CONFIG_FILE)) {
+    fromFile = readConfigFile(DEFAULT_CONFIG_FILE, problems);
+  }
+
+  // Raw value for a top-level setting plus where it came from, for error
+  // messages.
+  const raw = (key) => {
+    if (!isBlank(env[ENV_VARS[key]])) return { value: env[ENV_VARS[key]], from: ENV_VARS[key] };
+    if (!isBlank(fromFile[key])) return { value: fromFile[key], from: `config file "${key}"` };
+    return { value: undefined, from: null };
+  };
+
+  const number = ({ value, from }, fallback, { integer, min, max }) => {
+    if (value === undefined) return fallback;
+    const n = Number(value);
+    if (!Number.isFinite(n) || (integer && !Number.isInteger(n)) || n < min || n > max) {
+      const kind = integer ? 'an integer' : 'a number';
+      problems.push(`${from} must be ${kind} from ${min} to ${max} (got "${value}")`);
+      return fallback;
+    }
+    return n;
+  };
+
+  const url = ({ value, from }, fallback) => {
+    if (value === undefined) return fallback;
+    try {
+      const parsed = new URL(value);
+      if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('not http(s)');
+      return String(value).replace(/\/+$/, '');
+    } catch (err) {
+      problems.push(`${from} must be an http(s) URL (got "${value}")`);
+      return fallback;
+    }
+  };
+
+  const apiKey = ({ value, from }) => {
+    if (value === undefined) return undefined;
+    if (!/^[A-Za-z0-9_-]+$/.test(String(value))) {
+      problems.push(`${from} does not look like a Buildout API key`);
+    }
+    return String(value);
+  };
+
+  const secret = ({ value, from }) => {
+    if (value === undefined) return null;
+    if (String(value).length < MIN_SECRET_LENGTH) {
+      problems.push(`${from} must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return String(value);
+  };
+
+  const branding = (value, from, fallback) => {
+    if (value === undefined) return fallback;
+    if (!value || typeof value !== 'object' || Array.isArray(value) ||
+        ['name', 'logoUrl'].some((k) => value[k] != null && typeof value[k] !== 'string')) {
+      problems.push(`${from} must be an object with string "name" and "logoUrl"`);
+      return fallback;
+    }
+    return { ...fallback, ...value };
+  };
+
+  // Settings every tenant inherits unless it sets its own.
+  const shared = {
+    baseUrl: url(raw('baseUrl'), DEFAULTS.baseUrl),
+    pageLimit: number(raw('pageLimit'), DEFAULTS.pageLimit, { integer: true, min: 1, max: MAX_PAGE_LIMIT }),
+    refreshIntervalHours: number(raw('refreshIntervalHours'), DEFAULTS.refreshIntervalHours,
+      { integer: false, min: 0.25, max: 24 * 7 })
+  };
+
+  const tenants = [];
+  const defaultKey = apiKey(raw('apiKey'));
+  if (defaultKey !== undefined) {
+    tenants.push({
+      id: DEFAULT_TENANT,
+      apiKey: defaultKey,
+      ...shared,
+      branding: branding(fromFile.branding, 'config file "branding"', DEFAULT_BRANDING)
+    });
+  }
+
+  const extra = fromFile.tenants ?? {};
+  if (typeof extra !== 'object' || Array.isArray(extra)) {
+    problems.push('config file "tenants" must be an object of tenant id -> settings');
+  } else {
+    for (const [id, t] of Object.entries(extra)) {
+      const where = `config file "tenants.${id}`;
+      if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+        problems.push(`tenant id "${id}" must be lowercase letters, digits and dashes`);
+        continue;
+      }
+      if (id === DEFAULT_TENANT || RESERVED_TENANT_IDS.includes(id)) {
+        problems.push(`tenant id "${id}" is reserved`);
+        continue;
+      }
+      if (!t || typeof t !== 'object' || Array.isArray(t)) {
+        problems.push(`${where}" must be an object`);
+        continue;
+      }
+      const keyVar = tenantKeyVar(id);
+      const key = apiKey(!isBlank(env[keyVar])
+        ? { value: env[keyVar], from: keyVar }
+        : { value: isBlank(t.apiKey) ? undefined : t.apiKey, from: `${where}.apiKey"` });
+      if (key === undefined) {
+        problems.push(`tenant "${id}" needs an API key (${keyVar} or ${where}.apiKey")`);
+      }
+      const own = (k) => ({ value: isBlank(t[k]) ? undefined : t[k], from: `${where}.${k}"` });
+      tenants.push({
+        id,
+        apiKey: key,
+        baseUrl: url(own('baseUrl'), shared.baseUrl),
+        pageLimit: number(own('pageLimit'), shared.pageLimit, { integer: true, min: 1, max: MAX_PAGE_LIMIT }),
+        refreshIntervalHours: number(own('refreshIntervalHours'), shared.refreshIntervalHours,
+          { integer: false, min: 0.25, max: 24 * 7 }),
+        branding: branding(t.branding, `${where}.branding"`, DEFAULT_BRANDING)
+      });
+    }
+  }
+  if (!tenants.length) {
+    problems.push(`${ENV_VARS.apiKey} is required (or "apiKey" in the config file, or "tenants")`);
+  }
+
+  const config = {
+    tenants,
+    // Served at the un-namespaced /api/... routes; null with tenants only.
+    defaultTenant: defaultKey !== undefined ? DEFAULT_TENANT : null,
+    cacheDir: path.resolve(raw('cacheDir').value ?? DEFAULTS.cacheDir),
+    allowedOrigins: raw('allowedOrigins').value === undefined
+      ? DEFAULTS.allowedOrigins
+      : toList(raw('allowedOrigins').value),
+    port: number(raw('port'), DEFAULTS.port, { integer: true, min: 1, max: 65535 }),
+    // POST /api/refresh credentials; with neither set the route is disabled.
+    adminToken: secret(raw('adminToken')),
+    refreshHmacSecret: secret(raw('refreshHmacSecret')),
+    refreshCooldownSeconds: number(raw('refreshCooldownSeconds'), DEFAULTS.refreshCooldownSeconds,
+      { integer: true, min: 0, max: 24 * 60 * 60 })
+  };
+  if (!config.allowedOrigins.length) {
+    problems.push(`${raw('allowedOrigins').from} must list at least one origin (or *)`);
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return config;
+}
+
+// Full URL of a Buildout API resource for a tenant, e.g.
+// buildoutUrl(tenant, 'brokers').
+function buildoutUrl(tenant, resource) {
+  return `${tenant.baseUrl}/${tenant.apiKey}/${resource}.json`;
+}
+
+module.exports = { loadConfig, buildoutUrl, ConfigError, DEFAULT_TENANT };
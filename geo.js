@@ -0,0 +1,93 @@
+// geo.js
+// Geographic helpers behind the radius (`near` + `radius_mi`) and boundary
+// (`within`) filters on /api/listings.  Coordinates are WGS84 degrees and
+// distances are great-circle miles, which is plenty accurate at metro scale.
+// The page's map tools send these parameters and show the matches and their
+// distance_mi as returned.
+
+const EARTH_RADIUS_MI = 3958.8;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+function validLatLng(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+// { lat, lng } for a listing, or null when Buildout has no usable location
+// (missing, malformed, or the 0,0 placeholder).
+function listingCoords(listing) {
+  const lat = parseFloat(listing.latitude);
+  const lng = parseFloat(listing.longitude);
+  if (!validLatLng(lat, lng) || (lat === 0 && lng === 0)) return null;
+  return { lat, lng };
+}
+
+// Haversine distance in miles between two { lat, lng } points.
+function distanceMiles(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MI * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// "39.74,-104.99" -> { lat, lng }; null when malformed.
+function parseLatLng(value) {
+  const parts = String(value).split(',').map((p) => p.trim());
+  if (parts.length !== 2 || parts.some((p) => p === '')) return null;
+  const lat = Number(parts[0]);
+  const lng = Number(parts[1]);
+  return validLatLng(lat, lng) ? { lat, lng } : null;
+}
+
+function validRing(ring) {
+  return Array.isArray(ring) && ring.length >= 3 &&
+    ring.every((pos) => Array.isArray(pos) && pos.length >= 2 && validLatLng(pos[1], pos[0]));
+}
+
+// Accepts a GeoJSON Polygon or MultiPolygon geometry, or a Feature wrapping
+// one, as JSON text or an object.  Returns a list of polygons (each a list of
+// rings of [lng, lat] positions, outer ring first) or null when malformed.
+function parsePolygon(value) {
+  let geo = value;
+  if (typeof value === 'string') {
+    try {
+      geo = JSON.parse(value);
+    } catch (err) {
+      return null;
+    }
+  }
+  if (geo && geo.type === 'Feature') geo = geo.geometry;
+  if (!geo || !Array.isArray(geo.coordinates)) return null;
+
+  const polygons = geo.type === 'Polygon' ? [geo.coordinates]
+    : geo.type === 'MultiPolygon' ? geo.coordinates
+      : null;
+  if (!polygons || !polygons.length) return null;
+  const ok = polygons.every((rings) => Array.isArray(rings) && rings.length && rings.every(validRing));
+  return ok ? polygons : null;
+}
+
+// Ray casting; points exactly on an edge may land either side.
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > point.lat) !== (yj > point.lat) &&
+        point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Inside any polygon's outer ring and outside all of that polygon's holes.
+function pointInPolygons(point, polygons) {
+  return polygons.some(([outer, ...holes]) =>
+    pointInRing(point, outer) && !holes.some((hole) => pointInRing(point, hole))
+  );
+}
+
+module.exports = { listingCoords, distanceMiles, parseLatLng, parsePolygon, pointInPolygons };
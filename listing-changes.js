@@ -0,0 +1,75 @@
+// listing-changes.js
+// Compares two versions of the enriched listing model (before and after a
+// cache refresh) and describes what moved: listings that appeared, listings
+// that disappeared and field-level edits to the ones in both.  server.js
+// keeps the resulting events as a rolling history behind /api/changes.
+
+// Listing fields worth reporting on.  `get` reduces a listing to a comparable
+// value; brokers compare by id but report names so digests read naturally.
+const TRACKED_FIELDS = [
+  { field: 'sale_price', get: (l) => l.sale_price ?? null },
+  { field: 'lease_rate', get: (l) => l.lease_rate ?? null },
+  { field: 'available_sf', get: (l) => l.totalAvailableSF ?? 0 },
+  { field: 'building_sf', get: (l) => l.buildingSF ?? 0 },
+  { field: 'status', get: (l) => l.deal_status ?? l.deal_status_id ?? null },
+  {
+    field: 'listing_type',
+    get: (l) => (l.lease && l.sale) ? 'sale & lease' : l.lease ? 'lease' : l.sale ? 'sale' : null
+  },
+  {
+    field: 'brokers',
+    get: (l) => (l.brokers || []).map((b) => String(b.id)).sort().join(','),
+    show: (l) => (l.brokers || []).map((b) => b.name)
+  }
+];
+
+// Enough to identify a listing in a feed without looking it up.
+function listingRef(l) {
+  return { id: l.id, address: l.address || null, city: l.city || null, state: l.state || null };
+}
+
+// Field-level differences between two versions of the same listing.
+function diffListing(before, after) {
+  const changes = [];
+  for (const { field, get, show } of TRACKED_FIELDS) {
+    const from = get(before);
+    const to = get(after);
+    if (String(from) !== String(to)) {
+      changes.push({
+        field,
+        from: show ? show(before) : from,
+        to: show ? show(after) : to
+      });
+    }
+  }
+  return changes;
+}
+
+// Returns { added, removed, changed } between two listing arrays.  Added and
+// removed entries are listing refs; changed entries add a `changes` array of
+// { field, from, to }.
+function diffListings(previous, next) {
+  const prevById = new Map((previous || []).map((l) => [String(l.id), l]));
+  const nextById = new Map((next || []).map((l) => [String(l.id), l]));
+
+  const added = [];
+  const changed = [];
+  for (const [id, l] of nextById) {
+    const before = prevById.get(id);
+    if (!before) {
+      added.push(listingRef(l));
+      continue;
+    }
+    const changes = diffListing(before, l);
+    if (changes.length) changed.push({ ...listingRef(l), changes });
+  }
+
+  const removed = [];
+  for (const [id, l] of prevById) {
+    if (!nextById.has(id)) removed.push(listingRef(l));
+  }
+
+  return { added, removed, changed };
+}
+
+module.exports = { diffListings, TRACKED_FIELDS };
@@ -0,0 +1,81 @@
+// listing-export.js
+// Flat, spreadsheet-friendly rows of the enriched listing model, behind
+// /api/listings.csv and /api/listings.xlsx (the page's Export buttons
+// download those for the table's current view).
+
+const ExcelJS = require('exceljs');
+const { PROPERTY_TYPES, PROPERTY_SUBTYPES } = require('./property-types');
+
+const fullAddress = (l) =>
+  [l.address, l.city, [l.state, l.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+
+const listingType = (l) =>
+  (l.lease && l.sale) ? 'For Sale & Lease' : l.lease ? 'For Lease' : 'For Sale';
+
+// Numbers stay numbers (blank when unknown) so spreadsheets can sum them.
+const EXPORT_COLUMNS = [
+  { header: 'Listing ID', value: (l) => l.id },
+  { header: 'Address', value: fullAddress },
+  { header: 'City', value: (l) => l.city || '' },
+  { header: 'State', value: (l) => l.state || '' },
+  { header: 'ZIP', value: (l) => l.zip || '' },
+  { header: 'Property Type', value: (l) => PROPERTY_TYPES[l.property_type_id] || '' },
+  { header: 'Subtype', value: (l) => PROPERTY_SUBTYPES[l.property_subtype_id] || '' },
+  { header: 'Listing Type', value: listingType },
+  { header: 'Available SF', value: (l) => l.totalAvailableSF || '' },
+  { header: 'Building SF', value: (l) => l.buildingSF || '' },
+  { header: 'Sale Price', value: (l) => l.pricing?.sale_price ?? '' },
+  { header: 'Price / SF', value: (l) => l.pricing?.price_per_sf ?? '' },
+  { header: 'Cap Rate %', value: (l) => l.pricing?.cap_rate ?? '' },
+  { header: 'Lease Rate Min ($/SF/yr)', value: (l) => l.pricing?.lease_rate_min ?? '' },
+  { header: 'Lease Rate Max ($/SF/yr)', value: (l) => l.pricing?.lease_rate_max ?? '' },
+  { header: 'Lease Type', value: (l) => l.pricing?.lease_type || '' },
+  {
+    header: 'Pricing',
+    value: (l) => [l.pricing?.sale_display, l.pricing?.lease_display].filter(Boolean).join('; ')
+  },
+  { header: 'Brokers', value: (l) => (l.brokers || []).map((b) => b.name).join('; ') },
+  {
+    header: 'Broker Emails',
+    value: (l) => (l.brokers || []).map((b) => b.email).filter(Boolean).join('; ')
+  },
+  { header: 'Lease Listing URL', value: (l) => l.lease_listing_url || '' },
+  { header: 'Sale Listing URL', value: (l) => l.sale_listing_url || '' }
+];
+
+// Quote per RFC 4180, and defuse text a spreadsheet would run as a formula.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text (header row first, CRLF line endings) for `listings` in order.
+function toCsv(listings) {
+  const lines = [EXPORT_COLUMNS.map((c) => csvCell(c.header)).join(',')];
+  for (const l of listings) {
+    lines.push(EXPORT_COLUMNS.map((c) => csvCell(c.value(l))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// The same rows as an Excel workbook: one "Listings" sheet with a bold,
+// frozen header row.  Cells are written as values, never formulas, so text
+// needs no defusing here.  Resolves to a Buffer.
+async function toXlsx(listings) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Listings', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = EXPORT_COLUMNS.map((c) => ({ header: c.header, width: Math.max(12, c.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  for (const l of listings) {
+    sheet.addRow(EXPORT_COLUMNS.map((c) => {
+      const value = c.value(l);
+      return value === '' ? null : value;
+    }));
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = { EXPORT_COLUMNS, toCsv, toXlsx };
@@ -0,0 +1,205 @@
+// listing-report.js
+// The monthly availability report behind /api/report: a standalone, print
+// ready HTML document (open it and print / save as PDF).  A cover page with
+// counts by property type, then one block per listing, with each property
+// type or city starting on a new page.  The page's Report button shows it
+// for the table's current view.
+
+const { PROPERTY_TYPES, PROPERTY_SUBTYPES } = require('./property-types');
+
+const SQFT_PER_ACRE = 43560;
+const LAND_PROPERTY_TYPE_ID = '5';
+const REPORT_GROUPS = ['type', 'city'];
+
+const escapeHtml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// `url` when it is an http(s) URL, else null: Buildout data is not ours, and
+// a javascript: or data: URL must not become a live link or image source.
+const httpUrl = (url) => {
+  const s = String(url ?? '').trim();
+  return /^https?:\/\//i.test(s) ? s : null;
+};
+
+const sf = (n) => `${n.toLocaleString('en-US')} SF`;
+const acres = (n) => `${(n / SQFT_PER_ACRE).toFixed(2)} AC`;
+
+// Same wording as formatPropertySize() in script.js.
+function formatPropertySize(l) {
+  const avail = l.totalAvailableSF || 0;
+  const building = l.buildingSF || 0;
+  const isLand = String(l.property_type_id ?? '') === LAND_PROPERTY_TYPE_ID;
+  if (avail > 0) {
+    if (building > 0) {
+      return `<strong>Available:</strong> ${sf(avail)} <span class="building-size">of ${isLand ? acres(building) : sf(building)}</span>`;
+    }
+    return `<strong>Available:</strong> ${sf(avail)}`;
+  }
+  if (building > 0) return isLand ? acres(building) : sf(building);
+  return '—';
+}
+
+const listingType = (l) =>
+  (l.lease && l.sale) ? 'For Sale & Lease' : l.lease ? 'For Lease' : 'For Sale';
+
+// "32" -> 32′; values that already carry a unit are left alone.
+function formatFeet(v) {
+  const s = String(v).trim();
+  return /ft|′|’/i.test(s) || Number.isNaN(Number(s)) ? s : `${s}′`;
+}
+
+const positive = (v) => Number(String(v ?? '').replace(/[^\d.-]/g, '')) > 0;
+
+// Label/value pairs for the key highlights shown on the property card.
+function keyHighlights(l) {
+  const p = l.pricing || {};
+  return [
+    ['Asking Price', p.sale_display],
+    ['Price / SF', p.price_per_sf != null
+      ? `$${p.price_per_sf.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} /SF`
+      : null],
+    ['Cap Rate', p.cap_rate != null ? `${p.cap_rate}%` : null],
+    ['Lease Rate', p.lease_display],
+    ['Ceiling Height', positive(l.ceiling_height_f) ? formatFeet(l.ceiling_height_f) : null],
+    ['Dock Doors', positive(l.dock_high_doors) ? l.dock_high_doors : null],
+    ['Year Built', positive(l.year_built) ? l.year_built : null],
+    ['Zoning', String(l.zoning || '').trim() || null]
+  ].filter(([, value]) => value != null && value !== '');
+}
+
+// Split listings into report sections, keeping their order within each.
+// Property types follow the id order of PROPERTY_TYPES; cities are A-Z.
+function groupListings(listings, groupBy) {
+  const groups = new Map();
+  for (const l of listings) {
+    const key = groupBy === 'city'
+      ? (l.city || '').trim() || 'Other'
+      : PROPERTY_TYPES[l.property_type_id] || 'Other';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(l);
+  }
+  const typeOrder = Object.values(PROPERTY_TYPES);
+  const rank = (key) => (groupBy === 'city' ? 0 : typeOrder.indexOf(key) + 1 || typeOrder.length + 1);
+  return [...groups.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b) || (a === 'Other') - (b === 'Other') || a.localeCompare(b))
+    .map(([title, items]) => ({ title, listings: items }));
+}
+
+// Listing count and available SF per property type, for the cover page.
+function countByType(listings) {
+  const counts = new Map();
+  for (const l of listings) {
+    const type = PROPERTY_TYPES[l.property_type_id] || 'Other';
+    const row = counts.get(type) || { type, listings: 0, available_sf: 0 };
+    row.listings += 1;
+    row.available_sf += l.totalAvailableSF || 0;
+    counts.set(type, row);
+  }
+  return groupListings(listings, 'type').map((g) => counts.get(g.title));
+}
+
+function brokerHtml(b) {
+  const lines = [
+    b.title && `<div class="muted">${escapeHtml(b.title)}</div>`,
+    b.phone && `<div>${escapeHtml(b.phone)}</div>`,
+    b.email && `<div><a href="mailto:${escapeHtml(b.email)}">${escapeHtml(b.email)}</a></div>`
+  ].filter(Boolean);
+  return `<div class="broker"><strong>${escapeHtml(b.name)}</strong>${lines.join('')}</div>`;
+}
+
+function listingHtml(l) {
+  const photo = httpUrl(l.photos?.[0]?.url);
+  const address = [l.address, l.city, [l.state, l.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  const subtype = PROPERTY_SUBTYPES[l.property_subtype_id];
+  const url = httpUrl(l.lease_listing_url || l.sale_listing_url);
+  const highlights = keyHighlights(l)
+    .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+  return `
+    <article class="listing">
+      ${photo ? `<img src="${escapeHtml(photo)}" alt="" class="listing__photo">` : '<div class="listing__photo"></div>'}
+      <div>
+        <h3>${url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(address)}</a>` : escapeHtml(address)}</h3>
+        <div class="muted">${escapeHtml([subtype, listingType(l)].filter(Boolean).join(' – '))}</div>
+        <div class="listing__size">${formatPropertySize(l)}</div>
+        ${highlights ? `<dl class="highlights">${highlights}</dl>` : ''}
+        <div class="brokers">${(l.brokers || []).map(brokerHtml).join('')}</div>
+      </div>
+    </article>`;
+}
+
+const REPORT_CSS = `
+  @page { size: letter; margin: 0.5in; }
+  body { font-family: Inter, Arial, sans-serif; color: #000; margin: 0 auto; max-width: 8in; }
+  a { color: #98002E; text-decoration: none; }
+  .muted { color: #7E8083; }
+  .cover { min-height: 9.5in; display: flex; flex-direction: column; justify-content: center; }
+  .cover h1 { color: #4E131E; font-size: 2.4rem; margin: .25rem 0; }
+  .brand { color: #98002E; font-weight: 700; letter-spacing: .08em; text-transform: uppercase; }
+  .totals { border-collapse: collapse; margin-top: 1.5rem; width: 100%; }
+  .totals th, .totals td { border-bottom: 1px solid #e0e0e0; padding: .45rem .6rem; text-align: left; }
+  .totals th { color: #fff; background: #98002E; }
+  .totals .num { text-align: right; }
+  .totals tfoot td { font-weight: 700; border-bottom: 0; }
+  .group { break-before: page; page-break-before: always; }
+  .group h2 { color: #fff; background: #98002E; padding: .4rem .75rem; margin: 0 0 .75rem; }
+  .listing { display: grid; grid-template-columns: 2.2in 1fr; gap: .9rem; padding: .75rem 0;
+    border-bottom: 1px solid #e0e0e0; break-inside: avoid; page-break-inside: avoid; }
+  .listing__photo { width: 2.2in; height: 1.5in; object-fit: cover; background: #f5f7fa; }
+  .listing h3 { margin: 0 0 .2rem; font-size: 1.05rem; }
+  .listing__size { margin: .35rem 0; }
+  .building-size { color: #7E8083; }
+  .highlights { display: grid; grid-template-columns: max-content 1fr; gap: .1rem .75rem; margin: .35rem 0; font-size: .85rem; }
+  .highlights dt { color: #7E8083; }
+  .highlights dd { margin: 0; }
+  .brokers { display: flex; flex-wrap: wrap; gap: .35rem 1.5rem; font-size: .85rem; margin-top: .4rem; }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+`;
+
+// The full report document.  `listings` are in the order to print them;
+// `groupBy` is 'type' or 'city'; `asOf` is when the data was last refreshed;
+// `brand` is the tenant's branding name on the cover.
+function buildReportHtml(listings, {
+  groupBy = 'type',
+  asOf = null,
+  title = 'Availability Report',
+  brand = 'Lee & Associates'
+} = {}) {
+  const totals = countByType(listings);
+  const totalSF = totals.reduce((sum, t) => sum + t.available_sf, 0);
+  const dateText = (asOf || new Date()).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+  const rows = totals.map((t) => `
+        <tr><td>${escapeHtml(t.type)}</td><td class="num">${t.listings}</td><td class="num">${t.available_sf ? sf(t.available_sf) : '—'}</td></tr>`).join('');
+  const groups = groupListings(listings, groupBy).map((g) => `
+  <section class="group">
+    <h2>${escapeHtml(g.title)} (${g.listings.length})</h2>
+    ${g.listings.map(listingHtml).join('')}
+  </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)} – ${dateText}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+  <section class="cover">
+    <div class="brand">${escapeHtml(brand)}</div>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="muted">${dateText} · ${listings.length} listing${listings.length === 1 ? '' : 's'} · grouped by ${groupBy === 'city' ? 'city' : 'property type'}</div>
+    <table class="totals">
+      <thead><tr><th>Property Type</th><th class="num">Listings</th><th class="num">Available SF</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+      <tfoot><tr><td>Total</td><td class="num">${listings.length}</td><td class="num">${totalSF ? sf(totalSF) : '—'}</td></tr></tfoot>
+    </table>
+  </section>${groups}
+</body>
+</html>`;
+}
+
+module.exports = { buildReportHtml, REPORT_GROUPS };
@@ -0,0 +1,122 @@
+// listing-stats.js
+// Portfolio statistics behind /api/stats (and the dashboard view in
+// script.js, which only renders what this returns so the numbers match
+// everywhere): counts and available SF by property type, subtype, city and
+// broker, the lease/sale mix, a size distribution and the listings added and
+// removed per period from the refresh change history.
+
+const { PROPERTY_TYPES, PROPERTY_SUBTYPES } = require('./property-types');
+
+// Size histogram buckets, in SF: [min, max).  A listing's size is its
+// available SF, else its building SF (land: lot size), like the table.
+const SIZE_BUCKETS = [
+  [0, 5000],
+  [5000, 10000],
+  [10000, 25000],
+  [25000, 50000],
+  [50000, 100000],
+  [100000, Infinity]
+];
+
+const STAT_INTERVALS = ['day', 'week', 'month'];
+
+const fmtK = (n) => (n >= 1000 ? `${n / 1000}K` : String(n));
+
+function bucketLabel([min, max]) {
+  return max === Infinity ? `${fmtK(min)}+ SF` : `${fmtK(min)}–${fmtK(max)} SF`;
+}
+
+const listingSize = (l) => (l.totalAvailableSF > 0 ? l.totalAvailableSF : l.buildingSF || 0);
+
+// Tally listings into { key, label, listings, available_sf } rows, most
+// listings first.  `keysOf` returns the (key, label) pairs a listing counts
+// toward; a listing counts once per distinct key.
+function tally(listings, keysOf) {
+  const rows = new Map();
+  for (const l of listings) {
+    const seen = new Set();
+    for (const [key, label] of keysOf(l)) {
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const row = rows.get(key) || { key, label, listings: 0, available_sf: 0 };
+      row.listings += 1;
+      row.available_sf += l.totalAvailableSF || 0;
+      rows.set(key, row);
+    }
+  }
+  return [...rows.values()].sort((a, b) => b.listings - a.listings || a.label.localeCompare(b.label));
+}
+
+// Start of the day / week (Monday) / month containing `date`, as YYYY-MM-DD
+// in UTC.
+function periodStart(date, interval) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === 'month') d.setUTCDate(1);
+  return d.toISOString().slice(0, 10);
+}
+
+// Added / removed counts per period, oldest first.  Periods without
+// changes are left out.
+function changesOverTime(changeHistory, interval) {
+  const periods = new Map();
+  for (const event of changeHistory) {
+    const period = periodStart(new Date(event.at), interval);
+    const row = periods.get(period) || { period, added: 0, removed: 0 };
+    row.added += (event.added || []).length;
+    row.removed += (event.removed || []).length;
+    periods.set(period, row);
+  }
+  return [...periods.values()].sort((a, b) => (a.period < b.period ? -1 : 1));
+}
+
+// All stats for `listings` (already filtered by the caller).
+function buildStats(listings, changeHistory, { interval = 'week' } = {}) {
+  const mix = { lease: 0, sale: 0, both: 0 };
+  for (const l of listings) {
+    if (l.lease && l.sale) mix.both += 1;
+    else if (l.lease) mix.lease += 1;
+    else if (l.sale) mix.sale += 1;
+  }
+
+  const sizes = SIZE_BUCKETS.map((range) => ({
+    label: bucketLabel(range),
+    min_sf: range[0],
+    max_sf: range[1] === Infinity ? null : range[1],
+    listings: 0
+  }));
+  let unknownSize = 0;
+  for (const l of listings) {
+    const sf = listingSize(l);
+    if (!(sf > 0)) {
+      unknownSize += 1;
+      continue;
+    }
+    const i = SIZE_BUCKETS.findIndex(([min, max]) => sf >= min && sf < max);
+    sizes[i].listings += 1;
+  }
+
+  return {
+    totals: {
+      listings: listings.length,
+      available_sf: listings.reduce((sum, l) => sum + (l.totalAvailableSF || 0), 0)
+    },
+    listing_type: mix,
+    by_type: tally(listings, (l) => [
+      [String(l.property_type_id ?? ''), PROPERTY_TYPES[l.property_type_id] || 'Other']
+    ]),
+    by_subtype: tally(listings, (l) => [
+      [String(l.property_subtype_id ?? ''), PROPERTY_SUBTYPES[l.property_subtype_id] || 'Other']
+    ]),
+    by_city: tally(listings, (l) => {
+      const city = (l.city || '').trim();
+      const label = city ? [city, l.state].filter(Boolean).join(', ') : 'Unknown';
+      return [[label.toLowerCase(), label]];
+    }),
+    by_broker: tally(listings, (l) => (l.brokers || []).map((b) => [String(b.id), b.name])),
+    size_distribution: { buckets: sizes, unknown: unknownSize },
+    changes: { interval, periods: changesOverTime(changeHistory, interval) }
+  };
+}
+
+module.exports = { buildStats, STAT_INTERVALS };
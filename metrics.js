@@ -0,0 +1,88 @@
+// metrics.js
+// A small Prometheus registry behind /metrics (text exposition format
+// 0.0.4): labelled counters and histograms updated as things happen, and
+// gauges read from the live caches at scrape time.  Enough for this proxy
+// without pulling in a client library.
+
+// Latency buckets in seconds: cache hits take milliseconds, a slow report or
+// a refresh joined mid-crawl takes seconds.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// { route: '/api/listings', status: 200 } -> {route="/api/listings",status="200"}
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const values = new Map(); // label text -> count
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...values].map(([labels, v]) => `${name}${labels} ${v}`)
+    });
+    return {
+      inc(labels = {}, by = 1) {
+        const key = labelText(labels);
+        values.set(key, (values.get(key) || 0) + by);
+      }
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // label text -> { labels, counts, sum, count }
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => [...series.values()].flatMap((s) => [
+        ...buckets.map((le, i) => `${name}_bucket${labelText({ ...s.labels, le })} ${s.counts[i]}`),
+        `${name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`,
+        `${name}_sum${labelText(s.labels)} ${s.sum}`,
+        `${name}_count${labelText(s.labels)} ${s.count}`
+      ])
+    });
+    return {
+      observe(labels, value) {
+        const key = labelText(labels);
+        if (!series.has(key)) {
+          series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const s = series.get(key);
+        // buckets are cumulative: a value counts toward every bucket >= it
+        buckets.forEach((le, i) => {
+          if (value <= le) s.counts[i] += 1;
+        });
+        s.sum += value;
+        s.count += 1;
+      }
+    };
+  }
+
+  // `collect()` returns the current [labels, value] pairs.
+  function gauge(name, help, collect) {
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      lines: () => collect().map(([labels, v]) => `${name}${labelText(labels)} ${v}`)
+    });
+  }
+
+  function render() {
+    return metrics
+      .map((m) => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n'))
+      .join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { createRegistry };
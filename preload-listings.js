@@ -1,17 +1,21 @@
-const axios = require('axios');
-const NodeCache = require('node-cache');
-const cache = new NodeCache({ stdTTL: 86400 }); // 24h
-
-async function preloadListings() {
-  try {
-    const response = await axios.get('https://buildout.com/api/v1/ad60e63d545c98569763dd4b3bf32816b6f1b755/properties.json');
-    cache.set('listings', response.data);
-    console.log('✅ Listings preloaded into cache');
-    process.exit(0);
-  } catch (error) {
-    console.error('❌ Failed to preload listings:', error.message);
-    process.exit(1);
-  }
-}
-
-preloadListings();
+const axios = require('axios');
+const NodeCache = require('node-cache');
+const { loadConfig, buildoutUrl } = require('./config');
+const cache = new NodeCache({ stdTTL: 86400 }); // 24h
+
+async function preloadListings() {
+  try {
+    const config = loadConfig(); // same settings as server.js (see config.js)
+    // The default tenant's account, else the first configured one.
+    const tenant = config.tenants.find((t) => t.id === config.defaultTenant) || config.tenants[0];
+    const response = await axios.get(buildoutUrl(tenant, 'properties'));
+    cache.set('listings', response.data);
+    console.log('✅ Listings preloaded into cache');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to preload listings:', error.message);
+    process.exit(1);
+  }
+}
+
+preloadListings();
@@ -0,0 +1,117 @@
+// pricing.js
+// Normalized asking prices for the enriched listing model.  Buildout quotes
+// lease rates in whatever units the broker typed ($/SF/yr, $/SF/mo, $/mo for
+// the whole space, ...) and with or without a lease type, and sale prices are
+// sometimes withheld.  Everything here is reduced to:
+//   - sale price in dollars (plus $/SF and cap rate when known), and
+//   - lease rates in $/SF/yr, the unit commercial rates are compared in,
+// with "Call for pricing" when the listing is offered but not priced.
+
+const CALL_FOR_PRICING = 'Call for pricing';
+const MONTHS_PER_YEAR = 12;
+
+// Dollar amounts arrive as numbers or as text like "$1,250,000" or
+// "Negotiable".  Returns a positive number or null.
+function parseMoney(value) {
+  if (typeof value === 'number') return value > 0 ? value : null;
+  if (value == null) return null;
+  const text = String(value).replace(/[$,\s]/g, '');
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+  const n = Number(text);
+  return n > 0 ? n : null;
+}
+
+// Lease type named in free text ("NNN", "sf_yr_nnn", "Modified Gross", ...).
+function parseLeaseType(text) {
+  const t = String(text || '').toLowerCase();
+  if (!t) return null;
+  if (/nnn|triple/.test(t)) return 'NNN';
+  if (/(^|[^a-z])nn([^a-z]|$)|double net/.test(t)) return 'NN';
+  if (/modified|(^|[^a-z])mg([^a-z]|$)/.test(t)) return 'Modified Gross';
+  if (/full service|(^|[^a-z])fs([^a-z]|$)/.test(t)) return 'Full Service';
+  if (/gross/.test(t)) return 'Gross';
+  if (/(^|[^a-z])net([^a-z]|$)/.test(t)) return 'Net';
+  return null;
+}
+
+// A lease rate as $/SF/yr.  `units` is Buildout's free-form unit string; a
+// total (not per SF) rate is spread over `sf`.  Unknown units are taken as
+// $/SF/yr, the market default.
+function normalizeLeaseRate(rate, units, sf) {
+  const amount = parseMoney(rate);
+  if (amount == null) return null;
+  const u = String(units || '').toLowerCase();
+  const perSF = /sf|sq|foot|feet|(^|[^a-z])ft/.test(u);
+  const monthly = /(^|[^a-z])mo([^a-z]|$)|month/.test(u); // not "modified gross"
+  const yearly = /(^|[^a-z])yr|year|annual/.test(u);
+  const annual = monthly ? amount * MONTHS_PER_YEAR : amount;
+  if (perSF || (!monthly && !yearly)) return round2(annual);
+  return sf > 0 ? round2(annual / sf) : null;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+const formatDollars = (n, digits = 0) =>
+  `$${n.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+
+// Pricing for one enriched listing.  `spaces` are its active lease spaces as
+// summarized by server.js (each with rate_sf_yr and lease_type).
+function describePricing(listing, spaces, buildingSF) {
+  const salePrice = listing.sale
+    ? parseMoney(listing.sale_price ?? listing.sale_price_dollars ?? listing.asking_price)
+    : null;
+  const saleHidden = !!(listing.call_for_price ?? listing.hide_sale_price);
+  const pricePerSF = salePrice && !saleHidden
+    ? (parseMoney(listing.sale_price_per_sf ?? listing.price_per_sf) ??
+      (buildingSF > 0 ? round2(salePrice / buildingSF) : null))
+    : null;
+  const capRate = listing.sale ? parseMoney(listing.cap_rate_pct ?? listing.cap_rate) : null;
+
+  // The listing-level rate plus every priced space: the table shows the range.
+  const rates = [];
+  const leaseTypes = new Set();
+  if (listing.lease) {
+    const listingRate = normalizeLeaseRate(listing.lease_rate, listing.lease_rate_units, buildingSF);
+    if (listingRate != null) rates.push(listingRate);
+    const listingType = parseLeaseType(listing.lease_type) || parseLeaseType(listing.lease_rate_units);
+    if (listingType) leaseTypes.add(listingType);
+    for (const s of spaces || []) {
+      if (s.rate_sf_yr != null) rates.push(s.rate_sf_yr);
+      if (s.lease_type) leaseTypes.add(s.lease_type);
+    }
+  }
+  const rateMin = rates.length ? Math.min(...rates) : null;
+  const rateMax = rates.length ? Math.max(...rates) : null;
+  const leaseType = leaseTypes.size === 1 ? [...leaseTypes][0] : null;
+
+  let saleDisplay = null;
+  if (listing.sale) {
+    saleDisplay = salePrice && !saleHidden ? formatDollars(salePrice) : CALL_FOR_PRICING;
+  }
+  let leaseDisplay = null;
+  if (listing.lease) {
+    if (rateMin == null) {
+      leaseDisplay = CALL_FOR_PRICING;
+    } else {
+      const range = rateMin === rateMax
+        ? formatDollars(rateMin, 2)
+        : `${formatDollars(rateMin, 2)}–${formatDollars(rateMax, 2)}`;
+      leaseDisplay = `${range} /SF/yr${leaseType ? ` ${leaseType}` : ''}`;
+    }
+  }
+
+  return {
+    sale_price: saleHidden ? null : salePrice,
+    price_per_sf: pricePerSF,
+    cap_rate: capRate,
+    lease_rate_min: rateMin,
+    lease_rate_max: rateMax,
+    lease_type: leaseType,
+    sale_display: saleDisplay,
+    lease_display: leaseDisplay
+  };
+}
+
+module.exports = { describePricing, normalizeLeaseRate, parseLeaseType, CALL_FOR_PRICING };
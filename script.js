@@ -1,18 +1,52 @@
 // script.js
 // ---- Config / constants
-const API_BASE  = 'https://buildout-proxy.onrender.com/api';
-const PAGE_SIZE = 30;
+// Proxy to load from.  Point a page at another deployment without editing
+// this file: set window.LISTINGS_PROXY_BASE before this script loads, or
+// <meta name="listings-proxy-base" content="https://…/api"> in index.html.
+// For one of the proxy's other tenants use its prefix, e.g. https://…/api/west.
+const DEFAULT_API_BASE = 'https://buildout-proxy.onrender.com/api';
+const API_BASE = (
+  window.LISTINGS_PROXY_BASE ||
+  document.querySelector('meta[name="listings-proxy-base"]')?.content ||
+  DEFAULT_API_BASE
+).replace(/\/+$/, '');
+const PAGE_SIZE = 250;   // must stay <= the proxy's MAX_API_PAGE_LIMIT
 // top of file (near DEBUG)
 const FORCE_REFRESH = new URLSearchParams(location.search).has('refresh');
 
 // DEBUG: enable by visiting ?debug=1
 const DEBUG = new URLSearchParams(location.search).has('debug');
 
+// Row badges: "New" for listings first seen within NEW_BADGE_DAYS,
+// "Updated" for tracked changes (price, size, status, brokers) within
+// UPDATED_BADGE_DAYS.  Dates come from the proxy (firstSeenAt/lastChangedAt).
+const NEW_BADGE_DAYS = 14;
+const UPDATED_BADGE_DAYS = 7;
+
 
 let listingsGlobal = [];   // for access in search/sort
 let currentTypeFilter = "";   // blank = show all types
 let currentSort = { key: null, dir: 1 }
 let currentListingType = ""; // '', 'lease', 'sale', 'both'
+let deepLinkListingId = "";  // ?listing=<id> – row to open after first render
+// Ranked matches from the proxy for the current search box text:
+// hits = Map(listing id -> { score, fields: { field: [words] } }), or null.
+let currentSearch = { q: "", hits: null };
+let activeMatches = null;    // hits applied to the rows currently rendered
+// Exact-match filters chosen from the typeahead ("" = off).  Kept in the URL
+// under the same names.
+let structuredFilters = { city: "", zip: "", broker: "", subtype: "" };
+// Geo filters (map tools / ?near=lat,lng&radius_mi=&within=<GeoJSON>)
+let geoFilter = { near: null, radiusMi: null, within: null };
+let activeDistances = null;  // listing id -> miles from geoFilter.near
+let geoResults = { key: "", distances: null };  // the proxy's answer for geoQuery() `key`
+let geoPendingKey = "";      // geoQuery() with a request in flight
+// Price ranges (?min_price=&max_price=&min_rate=&max_rate=, same as the proxy)
+let priceFilters = { min_price: "", max_price: "", min_rate: "", max_rate: "" };
+
+// Tenant branding from the proxy (/branding); the page's own logo and
+// name until it loads.
+let branding = { name: "Lee & Associates", logoUrl: null };
 
 // ---- Loading overlay helpers
 function showLoading() {
@@ -61,6 +95,42 @@ const formatFeet = (v) => {
 };
 
 
+// True when an ISO timestamp falls within the last `days` days.
+function isWithinDays(iso, days) {
+  if (!iso) return false;
+  const t = new Date(iso).getTime();
+  return Number.isFinite(t) && Date.now() - t <= days * 24 * 60 * 60 * 1000;
+}
+
+const CHANGE_FIELD_LABELS = {
+  sale_price: "price",
+  lease_rate: "lease rate",
+  available_sf: "available SF",
+  building_sf: "building SF",
+  status: "status",
+  listing_type: "listing type",
+  brokers: "brokers",
+};
+
+// "New" / "Updated" pill for a table row ("" when neither applies).
+function recencyBadge(listing) {
+  if (isWithinDays(listing.firstSeenAt, NEW_BADGE_DAYS)) {
+    return `<span class="recency-badge new">New</span>`;
+  }
+  if (isWithinDays(listing.lastChangedAt, UPDATED_BADGE_DAYS)) {
+    const what = (listing.lastChangedFields || []).map(f => CHANGE_FIELD_LABELS[f] || f).join(", ");
+    return `<span class="recency-badge updated" title="${toText(what ? `Updated: ${what}` : "Updated")}">Updated</span>`;
+  }
+  return "";
+}
+
+// Short date for the "Added" column, e.g. "Oct 3, 2026".
+function formatShortDate(iso) {
+  const d = iso ? new Date(iso) : null;
+  if (!d || Number.isNaN(d.getTime())) return "—";
+  return d.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+}
+
 function statChip({ iconId, label, value }) {
   if (value == null) return '';  // hide if empty
   return `
@@ -75,95 +145,15 @@ function statChip({ iconId, label, value }) {
 }
 
 
-// Map for property type id to label
-const propertyTypes = {
-  1: "Office",
-  2: "Retail",
-  3: "Industrial",
-  5: "Land",
-  6: "Multifamily",
-  7: "Special Purpose",
-  8: "Hospitality"
-};
-
-// --- BUILD THE PROPERTY SUBTYPES MAP ---
-const propertySubtypes = {
-  101: "Office Building",
-  102: "Creative/Loft",
-  103: "Executive Suites",
-  104: "Medical",
-  105: "Institutional/Governmental",
-  106: "Office Warehouse",
-  107: "Office Condo",
-  108: "Coworking",
-  109: "Lab",
-  201: "Street Retail",
-  202: "Strip Center",
-  203: "Free Standing Building",
-  204: "Regional Mall",
-  205: "Retail Pad",
-  206: "Vehicle Related",
-  207: "Outlet Center",
-  208: "Power Center",
-  209: "Neighborhood Center",
-  210: "Community Center",
-  211: "Specialty Center",
-  212: "Theme/Festival Center",
-  213: "Restaurant",
-  214: "Post Office",
-  215: "Retail Condo",
-  216: "Lifestyle Center",
-  301: "Manufacturing",
-  302: "Warehouse/Distribution",
-  303: "Flex Space",
-  304: "Research & Development",
-  305: "Refrigerated/Cold Storage",
-  306: "Office Showroom",
-  307: "Truck Terminal/Hub/Transit",
-  308: "Self Storage",
-  309: "Industrial Condo",
-  310: "Data Center",
-  501: "Office",
-  502: "Retail",
-  503: "Retail-Pad",
-  504: "Industrial",
-  505: "Residential",
-  506: "Multifamily",
-  507: "Other",
-  601: "High-Rise",
-  602: "Mid-Rise",
-  603: "Low-Rise/Garden",
-  604: "Government Subsidized",
-  605: "Mobile Home Park",
-  606: "Senior Living",
-  607: "Skilled Nursing",
-  608: "Single Family Rental Portfolio",
-  701: "School",
-  702: "Marina",
-  703: "Other",
-  704: "Golf Course",
-  705: "Church",
-  801: "Full Service",
-  802: "Limited Service",
-  803: "Select Service",
-  804: "Resort",
-  805: "Economy",
-  806: "Extended Stay",
-  807: "Casino",
-  1001: "Single Family",
-  1002: "Townhouse / Row House",
-  1003: "Condo / Co-op",
-  1004: "Manufactured / Mobile Home",
-  1005: "Vacation / Timeshare",
-  1006: "Other Residential"
-};
-
 // ---- Helpers
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 // minimal guard that still tolerates commas or stray text
 const toNum = v =>
   typeof v === 'number' ? v : Number(String(v ?? '').replace(/[^\d.-]/g, '')) || 0;
-const toText = (s) => (s ?? '').toString().replace(/</g, "&lt;").replace(/>/g, "&gt;");
+// Also safe inside double-quoted attributes (src="${toText(url)}").
+const toText = (s) => (s ?? '').toString().replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+// `url` if it is an absolute http(s) URL, else "" – keeps javascript: and
+// other schemes from upstream data out of links.
+const httpUrl = (url) => /^https?:\/\//i.test(String(url ?? '').trim()) ? String(url).trim() : "";
 // robust getter for space square footage across orgs/fields
 function getSpaceSize(space) {
   const candidates = [
@@ -181,44 +171,6 @@ function getSpaceSize(space) {
   return 0;
 }
 
-// Determine if a lease space is considered active.
-// According to Buildout's DealStatus codes, 0=Inactive, 1=Active, 2=Under Contract, 3=Closed.
-// Many Buildout objects expose this status under different fields (deal_status, deal_status_id, dealStatus).
-// We treat a space as active only when its status value is the numeric 1 or the string 'active'.
-function isActiveLeaseSpace(space) {
-  if (!space) return false;
-  // Check several potential status fields.  Coerce to string for comparison or to number when numeric.
-  const raw = space.deal_status ?? space.deal_status_id ?? space.dealStatus ?? space.dealStatusId ?? null;
-  if (raw != null) {
-    // Numeric codes: handle strings or numbers.
-    const num = Number(raw);
-    if (!Number.isNaN(num)) {
-      return num === 1;
-    }
-    // String codes: case-insensitive compare
-    const s = String(raw).toLowerCase();
-    return s === 'active';
-  }
-  // If status is missing entirely, default to true so that older data without status is included.
-  return true;
-}
-
-// Determine if a property or listing is considered active based on DealStatus.
-// Accepts any object that may have deal status fields similar to lease spaces.
-function isActiveDealStatus(item) {
-  if (!item) return false;
-  const raw = item.deal_status ?? item.deal_status_id ?? item.dealStatus ?? item.dealStatusId ?? null;
-  if (raw != null) {
-    const num = Number(raw);
-    if (!Number.isNaN(num)) {
-      return num === 1;
-    }
-    const s = String(raw).toLowerCase();
-    return s === 'active';
-  }
-  return true;
-}
-
 // ---- Size display helpers ----
 // Compute the size string for the table row. Uses SF or AC depending on property type.
 // If there is available square footage (totalAvailableSF), it takes precedence. For land
@@ -299,13 +251,61 @@ function getInitialFiltersFromURL() {
   // search query
   const q = sp.get("q") || "";
 
+  // single listing to open pre-expanded (deep links from emails, CRM, ...)
+  const listing = (sp.get("listing") || "").trim();
+
+  // table, map, broker directory or dashboard
+  const view = ["map", "brokers", "dashboard"].includes(sp.get("view")) ? sp.get("view") : "table";
+
+  // geo filters: near=lat,lng (+ radius_mi), within=<GeoJSON polygon>
+  const near = parseLatLngParam(sp.get("near") || "");
+  const radius = Number(sp.get("radius_mi"));
+  const geo = {
+    near,
+    radiusMi: near && radius > 0 ? radius : null,
+    within: parseWithinParam(sp.get("within") || "")
+  };
+
+  // price ranges: non-negative numbers only
+  const prices = {};
+  for (const key of Object.keys(priceFilters)) {
+    const v = (sp.get(key) || "").trim();
+    prices[key] = v !== "" && Number(v) >= 0 ? v : "";
+  }
+
+  // column sort: sort=<data-sort key>&dir=asc|desc (or distance, given near)
+  const sortKeys = [...document.querySelectorAll("th.sortable")].map(th => th.getAttribute("data-sort"));
+  if (near) sortKeys.push("distance");
+  let sort = (sp.get("sort") || "").toLowerCase();
+  if (!sortKeys.includes(sort)) sort = "";
+  const dir = (sp.get("dir") || "").toLowerCase() === "desc" ? -1 : 1;
+
+  // structured filters from the typeahead
+  const structured = {};
+  for (const key of Object.keys(structuredFilters)) {
+    structured[key] = (sp.get(key) || "").trim();
+  }
+
   // Also accept hash like #industrial for legacy links
   if (!ptype && location.hash) {
     const h = location.hash.replace("#","").toLowerCase();
     if (PROP_TYPE_SLUG_TO_ID[h]) ptype = PROP_TYPE_SLUG_TO_ID[h];
   }
 
-  return { ptype, lt, q };
+  // shared comparison: compare=<id>,<id>,...
+  const compare = (sp.get("compare") || "").split(",").map(s => s.trim()).filter(Boolean).slice(0, COMPARE_MAX);
+
+  // shared shortlist: shortlist=<id>,<id>,...&shortlist_name=<name>
+  const sharedIds = (sp.get("shortlist") || "").split(",").map(s => s.trim()).filter(Boolean);
+  const sharedShortlist = sharedIds.length
+    ? { name: cleanShortlistName(sp.get("shortlist_name")) || "Shared Shortlist", ids: sharedIds }
+    : null;
+
+  // printable report: report=type|city (the grouping)
+  let report = (sp.get("report") || "").toLowerCase();
+  if (!REPORT_GROUPS.includes(report)) report = "";
+
+  return { ptype, lt, q, listing, structured, geo, prices, sort, dir, view, compare, sharedShortlist, report };
 }
 
 function setPropertyTypeUI(id) {
@@ -344,10 +344,71 @@ function updateURLFromFilters() {
   const q = (document.getElementById("searchInput")?.value || "").trim();
   if (q) sp.set("q", q); else sp.delete("q");
 
+  for (const [key, value] of Object.entries(structuredFilters)) {
+    if (value) sp.set(key, value); else sp.delete(key);
+  }
+
+  for (const [key, value] of Object.entries(priceFilters)) {
+    if (value !== "") sp.set(key, value); else sp.delete(key);
+  }
+
+  const { near, radiusMi, within } = geoFilter;
+  if (near) sp.set("near", formatLatLngParam(near)); else sp.delete("near");
+  if (near && radiusMi) sp.set("radius_mi", String(radiusMi)); else sp.delete("radius_mi");
+  if (within) sp.set("within", JSON.stringify(within)); else sp.delete("within");
+
+  if (currentView !== "table") sp.set("view", currentView); else sp.delete("view");
+
+  if (compareOpen && compareShownIds.length) sp.set("compare", compareShownIds.join(",")); else sp.delete("compare");
+  if (reportGroupBy) sp.set("report", reportGroupBy); else sp.delete("report");
+
+  // A shared shortlist is imported on load; the link's job is done.
+  sp.delete("shortlist");
+  sp.delete("shortlist_name");
+
+  if (currentSort.key) {
+    sp.set("sort", currentSort.key);
+    sp.set("dir", currentSort.dir === -1 ? "desc" : "asc");
+  } else {
+    sp.delete("sort");
+    sp.delete("dir");
+  }
+
   const newUrl = `${window.location.pathname}?${sp.toString()}`.replace(/\?$/,"");
   history.replaceState(null, "", newUrl);
 }
 
+// The table's current view as proxy query parameters (/api/listings names,
+// not the page URL's), so documents the proxy renders from it, like the
+// report and exports, hold the same rows in the same order.
+function currentViewQuery() {
+  const sp = new URLSearchParams();
+  if (currentTypeFilter) sp.set("type", currentTypeFilter);
+  if (currentListingType) sp.set("lt", currentListingType);
+
+  const q = (document.getElementById("searchInput")?.value || "").trim();
+  if (q) sp.set("search", q);
+
+  const { city, zip, broker, subtype } = structuredFilters;
+  if (city) sp.set("city", city);
+  if (zip) sp.set("zip", zip);
+  if (broker) sp.set("broker_id", broker);
+  if (subtype) sp.set("subtype", subtype);
+
+  for (const [key, value] of Object.entries(priceFilters)) {
+    if (value !== "") sp.set(key, value);
+  }
+
+  for (const [key, value] of geoQuery()) sp.set(key, value);
+
+  if (shortlists.showOnly) sp.set("id", activeShortlistIds().join(","));
+
+  if (currentSort.key) {
+    sp.set("sort", currentSort.key);
+    sp.set("dir", currentSort.dir === -1 ? "desc" : "asc");
+  }
+  return sp;
+}
 
 function debounce(fn, ms = 200) {
   let t; return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), ms); };
@@ -370,9 +431,14 @@ async function fetchWithTimeout(url, ms = 12000) {
 }
 
 // ---- Data fetch
+// The proxy pages out of its own cache, so there is no upstream rate limit to
+// respect here: follow next_cursor until the server says there is no more.
+// Throws when the crawl can't finish; only a complete set is cached, so a
+// failed page never leaves a truncated table for the rest of the session.
 async function fetchAllListings() {
-  const cacheKey = 'buildout:listings:v1';
-  const cached = sessionStorage.getItem(cacheKey);
+  // Per proxy/tenant, so switching API_BASE never shows another tenant's rows.
+  const cacheKey = `buildout:listings:v5:${API_BASE}`;
+  const cached = !FORCE_REFRESH && sessionStorage.getItem(cacheKey);
   if (cached) {
     try {
       const parsed = JSON.parse(cached);
@@ -381,78 +447,110 @@ async function fetchAllListings() {
   }
 
   let allListings = [];
-  let offset = 0;
-  let totalCount = null;
+  let cursor = null;
+  let restarted = false;
 
   while (true) {
-    const res = await fetchWithTimeout(`${API_BASE}/listings?limit=${PAGE_SIZE}&offset=${offset}`);
+    const qs = cursor
+      ? `limit=${PAGE_SIZE}&cursor=${encodeURIComponent(cursor)}`
+      : `limit=${PAGE_SIZE}&offset=0`;
+    const res = await fetchWithTimeout(`${API_BASE}/listings?${qs}`);
+
+    // 409 = the proxy refreshed its cache mid-crawl; start over once so we
+    // don't stitch pages from two different snapshots together.
+    if (res.status === 409 && !restarted) {
+      restarted = true;
+      allListings = [];
+      cursor = null;
+      continue;
+    }
     if (!res.ok) {
       const errorText = await res.text();
       console.error("API error:", res.status, errorText);
-      break;
+      throw new Error(`Listings request failed (HTTP ${res.status})`);
     }
     const data = await res.json();
-    if (totalCount === null) totalCount = data.count;
+    allListings = allListings.concat(data.properties || []);
 
-    const batch = data.properties || [];
-    allListings = allListings.concat(batch);
-
-    if (allListings.length >= totalCount) break;
-    offset += PAGE_SIZE;
-
-    // stay under provider rate limits
-    await sleep(1250);
+    if (!data.has_more) break;
+    if (!data.next_cursor) throw new Error("Listings page has more rows but no next_cursor");
+    cursor = data.next_cursor;
   }
 
   try { sessionStorage.setItem(cacheKey, JSON.stringify(allListings)); } catch {}
   return allListings;
 }
 
-// ---- Data fetch (lease spaces)
-const PAGE_SIZE_SPACES = 200; // gentler than 1000
+// Add the client-only presentation fields (broker list, debug payload) to a
+// listing from the proxy's enriched model.
+function decorateListing(listing) {
+  const brokers = listing.brokers || [];
 
-async function fetchAllLeaseSpaces() {
-  const cacheKey = 'buildout:lease_spaces:v2';  // bump to v2 to invalidate old cache
-  const cached = !FORCE_REFRESH && sessionStorage.getItem(cacheKey);
-  if (cached) {
-    try {
-      const parsed = JSON.parse(cached);
-      if (Array.isArray(parsed) && parsed.length) return parsed;
-    } catch { /* ignore */ }
-  }
+  const brokersArr = brokers.map(b => ({ id: b.id, name: toText(b.name), email: b.email }));
 
-  let all = [];
-  let offset = 0;
-  let totalCount = null;
+  // Stash debug payload we can surface in tooltips & logs
+  const spaceSizes = (listing.activeSpaces || []).map(s => s.size_sf);
+  const sizeDebug = {
+    spaceSizes,
+    sumSpace: toNum(listing.totalAvailableSF),
+    buildingSF: toNum(listing.buildingSF),
+    hadSpaces: spaceSizes.length > 0,
+  };
 
-  while (true) {
-    const res = await fetchWithTimeout(`${API_BASE}/lease_spaces?limit=${PAGE_SIZE_SPACES}&offset=${offset}`);
-    if (!res.ok) {
-      console.error('lease_spaces API error:', res.status, await res.text());
-      break;
-    }
+  return {
+    ...listing,
+    brokersArr,
+    sizeDebug,
+  };
+}
+
+// Ask the proxy's search index which listings match `q`.  Results land in
+// currentSearch and trigger a re-render, unless the user has typed on since.
+async function runServerSearch(q) {
+  q = (q || "").trim();
+  if (!q) {
+    currentSearch = { q: "", hits: null };
+    return;
+  }
+  try {
+    const res = await fetchWithTimeout(
+      `${API_BASE}/listings?search=${encodeURIComponent(q)}&fields=id,match`
+    );
+    if (!res.ok) return; // keep the local substring fallback
     const data = await res.json();
-    if (totalCount === null) totalCount = data.count ?? null;
+    const hits = new Map((data.properties || []).map(p => [String(p.id), p.match]));
+    if ((document.getElementById("searchInput")?.value || "").trim() !== q) return;
+    currentSearch = { q, hits };
+    filterAndSort();
+  } catch (err) {
+    console.warn('search request failed, using local match', err);
+  }
+}
 
-    const batch = data.lease_spaces || [];
-    all = all.concat(batch);
-    // after you finish building the "all" array:
-    if (DEBUG) {
-      window.__allLeaseSpaces = all;           // <— expose raw spaces
-    }
-    // If server returns a total, use it; otherwise stop when a short page arrives
-    if (totalCount != null) {
-      if (all.length >= totalCount) break;
-    } else {
-      if (batch.length < PAGE_SIZE_SPACES) break;
-    }
+async function fetchListing(id) {
+  const res = await fetchWithTimeout(`${API_BASE}/listings/${encodeURIComponent(id)}`);
+  if (!res.ok) return null;
+  const data = await res.json();
+  return data.property ? decorateListing(data.property) : null;
+}
 
-    offset += PAGE_SIZE_SPACES;
-    await sleep(900); // polite pacing
+// Expand (and scroll to) the row for a ?listing= deep link.  Listings missing
+// from the loaded set (e.g. a stale session cache) are fetched individually.
+async function openDeepLinkedListing(id) {
+  if (!id) return;
+  if (!listingsGlobal.some(l => String(l.id) === id)) {
+    const listing = await fetchListing(id).catch(() => null);
+    if (!listing) {
+      console.warn(`Deep-linked listing ${id} not found`);
+      return;
+    }
+    listingsGlobal = [listing, ...listingsGlobal];
+    filterAndSort();
   }
-
-  try { sessionStorage.setItem(cacheKey, JSON.stringify(all)); } catch {}
-  return all;
+  const row = document.querySelector(`tr.main-row[data-listing-id="${CSS.escape(id)}"]`);
+  if (!row) return; // hidden by the active filters
+  if (!row.classList.contains('open')) row.click();
+  row.scrollIntoView({ block: 'start', behavior: 'smooth' });
 }
 
 // REPLACE your current loadListings() with this version
@@ -460,90 +558,17 @@ async function loadListings() {
   showLoading();                     // ← show overlay at start
   startProgress();                  // ← start top progress bar
   try {
-    // Fetch listings (array), lease spaces (array), and broker response (Response) in parallel
-    const [listings, brokerRes, leaseSpaces] = await Promise.all([
-      fetchAllListings(),
-      fetchWithTimeout(`${API_BASE}/brokers`).catch(() => null),
-      fetchAllLeaseSpaces(),
-    ]);
-
-    // Parse brokers and build a map keyed by broker id
-    let brokers = [];
-    if (brokerRes && brokerRes.ok) {
-      try {
-        const brokersData = await brokerRes.json();
-        brokers = brokersData.brokers || brokersData || [];
-      } catch (_) {}
-    }
-    const brokerMap = Object.fromEntries((brokers || []).map(b => [b.id, b]));
-
-    // Build spacesByProperty from active lease spaces.
-    const spacesByProperty = {};
-    for (const s of (leaseSpaces || [])) {
-      // Skip any spaces that are not active according to DealStatus.
-      if (!isActiveLeaseSpace(s)) continue;
-      // Determine robust parent ID from the space. Use multiple fallbacks to support different Buildout fields.
-      const pid = s.property_id ?? s.property?.id ?? s.propertyId ?? s.listing_id ?? s.property_listing_id ?? null;
-      if (!pid) continue;
-      (spacesByProperty[pid] ??= []).push(s);
-    }
+    // The proxy already joins brokers and active lease spaces into each
+    // listing (brokers, activeSpaces, totalAvailableSF, buildingSF) and drops
+    // inactive deals, so all that is left here is presentation.
+    const listings = await fetchAllListings();
 
-    // Filter listings by deal status so that only active properties are shown
-    const activeListings = (listings || []).filter(isActiveDealStatus);
-
-    // Enrich listings with broker display, available SF, and debug payload
-    listingsGlobal = activeListings.map(listing => {
-      const broker1 = brokerMap[listing.broker_id];
-      const broker2 = brokerMap[listing.second_broker_id];
-
-      const brokerDisplay = [broker1, broker2]
-        .filter(Boolean)
-        .map(b => `<a href="mailto:${b.email}" class="broker-pill" data-email="${b.email}">${toText(b.first_name)} ${toText(b.last_name)}</a>`)
-        .join(" ");
-
-      const brokersArr = [broker1, broker2]
-        .filter(Boolean)
-        .map(b => ({ id: b.id, name: `${toText(b.first_name)} ${toText(b.last_name)}`, email: b.email }));
-
-      // Determine property id for listing using multiple fallbacks matching the key used when bucketing lease spaces.
-      const listingPid =
-        listing.property_id ??
-        listing.property?.id ??
-        listing.propertyId ??
-        listing.listing_id ??
-        listing.property_listing_id ??
-        listing.id;
-      const spaces = spacesByProperty[listingPid] || [];
-      // Compute space sizes using robust getter; they are already active by filter.
-      const spaceSizes = spaces.map(s => getSpaceSize(s));
-      const totalAvailableSF = spaceSizes.reduce((sum, n) => sum + (Number.isFinite(n) ? n : 0), 0);
-
-      // Normalize building SF for later comparison / tooltip
-      const buildingSF = toNum(listing.building_size_sf ?? listing.building_size);
-
-      // Stash debug payload we can surface in tooltips & logs
-      const sizeDebug = {
-        spaceSizes,
-        sumSpace: totalAvailableSF,
-        buildingSF,
-        hadSpaces: spaces.length > 0,
-      };
-
-      return {
-        ...listing,
-        brokerDisplay,
-        brokersArr,
-        totalAvailableSF,
-        sizeDebug,
-      };
-    });
+    listingsGlobal = (listings || []).map(decorateListing);
 
     // When debugging, expose the raw structures and diagnostics on window
     if (DEBUG) {
       window.listingsGlobal = listingsGlobal;
-      window.__spacesByProperty = spacesByProperty;
-      window.__allLeaseSpaces = leaseSpaces;
-      maybeLogSizeDiagnostics(listingsGlobal, spacesByProperty);
+      maybeLogSizeDiagnostics(listingsGlobal);
     }
 
 
@@ -555,18 +580,272 @@ async function loadListings() {
     } else {
       renderTable(listingsGlobal);
     }
+    renderActiveFilters(); // broker chip labels need the loaded data
   } catch (err) {
     console.error('loadListings error:', err);
     listingsGlobal = [];
     if (typeof filterAndSort === 'function') filterAndSort();
     else renderTable([]);
+    renderLoadError();
+    return;
   } finally {
     hideLoading();                   // ← always hide overlay
     finishProgress();                // ← finish top progress bar
   }
+
+  // Deep links and shared views open on top of the loaded table.  They run
+  // outside the try above so a failure here can't throw away good data.
+  await openDeepLinkedListing(deepLinkListingId);
+  if (sharedCompareIds.length) await openCompare(sharedCompareIds, { shared: true });
+  renderCompareTray();
+  if (sharedReportGroup) openReport(sharedReportGroup);
+  runServerSearch(document.getElementById("searchInput")?.value);
 }
 
 // ---- Rendering
+// Number of table columns (for full-width rows) – read from the header so
+// adding a column doesn't need touching every colspan.
+function tableColumnCount() {
+  // direct child only: expanded cards hold their own (space) tables
+  return document.querySelectorAll(".listing-table > thead th").length || 1;
+}
+
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Escape `text` and wrap words starting with any of `terms` in <mark>.
+// Terms come from the proxy's search index (lowercase, accent-free words).
+function highlightTerms(text, terms) {
+  const raw = (text ?? "").toString();
+  if (!terms || !terms.length) return toText(raw);
+  const re = new RegExp(`\\b(?:${terms.map(escapeRegExp).join("|")})`, "gi");
+  let out = "";
+  let last = 0;
+  for (const m of raw.matchAll(re)) {
+    out += toText(raw.slice(last, m.index)) + `<mark class="search-hit">${toText(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return out + toText(raw.slice(last));
+}
+
+// Broker pills for a row, linking to the broker's listings (contact details
+// are on the broker's profile); names are highlighted when the search
+// matched them.
+function brokerPillsHtml(listing, terms) {
+  return (listing.brokers || [])
+    .map(b => `<a href="${brokerPageHref(b.id)}" class="broker-pill broker-page-link row-control" data-broker-id="${toText(b.id)}">${highlightTerms(b.name, terms)}</a>`)
+    .join(" ");
+}
+
+// "For Sale", "For Lease" or "For Sale & Lease".
+function listingTypeText(listing) {
+  return (listing.lease && listing.sale)
+    ? "For Sale & Lease"
+    : listing.lease
+      ? "For Lease"
+      : "For Sale";
+}
+
+const formatDollars = (n, digits = 0) =>
+  `$${Number(n).toLocaleString("en-US", { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+
+// A space's rate normalized by the proxy to $/SF/yr (plus lease type), with
+// the rate as quoted in the tooltip.
+function formatSpaceRate(space) {
+  if (space.rate_sf_yr == null) return "Call for pricing";
+  const quoted = [space.lease_rate, space.lease_rate_units].filter(v => v != null && v !== "").join(" ").replace(/_/g, " ");
+  const text = `${formatDollars(space.rate_sf_yr, 2)} /SF/yr${space.lease_type ? ` ${space.lease_type}` : ""}`;
+  return `<span title="${toText(`Quoted: ${quoted}`)}">${toText(text)}</span>`;
+}
+
+// Price cell for the table: sale price and/or lease rate (pricing.js builds
+// the display strings, including "Call for pricing").
+function priceCellHtml(listing) {
+  const p = listing.pricing || {};
+  const parts = [p.sale_display, p.lease_display].filter(Boolean);
+  if (!parts.length) return "—";
+  return parts.map(t => `<div class="price-line${t === "Call for pricing" ? " call" : ""}">${toText(t)}</div>`).join("");
+}
+
+// "Now" for dates already passed, a short date for future ones, and free
+// text ("Immediately", "30 days notice") as is.
+function formatAvailability(value) {
+  if (!value) return "—";
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return toText(value);
+  return d.getTime() <= Date.now() ? "Now" : formatShortDate(value);
+}
+
+// Sub-table of the listing's active lease spaces, smallest first.
+function buildSpacesTableHtml(listing) {
+  const spaces = [...(listing.activeSpaces || [])].sort((a, b) => getSpaceSize(a) - getSpaceSize(b));
+  if (!spaces.length) return "";
+  const rows = spaces.map(space => {
+    const size = getSpaceSize(space);
+    const brochureUrl = httpUrl(space.pdf_url);
+    const brochure = brochureUrl
+      ? `<a href="${toText(brochureUrl)}" target="_blank" rel="noopener noreferrer">Brochure</a>`
+      : "—";
+    return `
+      <tr>
+        <td>${toText(space.name || "—")}</td>
+        <td class="num">${size > 0 ? `${size.toLocaleString("en-US")} SF` : "—"}</td>
+        <td class="num">${formatSpaceRate(space)}</td>
+        <td>${toText(space.space_type || "—")}</td>
+        <td>${formatAvailability(space.available_on)}</td>
+        <td>${brochure}</td>
+      </tr>`;
+  }).join("");
+  return `
+    <div class="space-table-wrap">
+      <div class="space-table__title">Available Spaces (${spaces.length})</div>
+      <table class="space-table">
+        <thead>
+          <tr><th>Suite</th><th class="num">Size</th><th class="num">Rate</th><th>Type</th><th>Available</th><th>Brochure</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Key highlights for a listing ({ iconId, label, value }, value null when
+// missing).  Shown as chips on the property card and listed in the report.
+function keyHighlights(listing) {
+  // Only show highlights when the data is present and meaningful.
+  // Treat falsy or non-positive numeric values as missing.  Blank strings will
+  // also be considered missing.
+  const chVal = listing.ceiling_height_f;
+  const ceilingHeight = chVal && toNum(chVal) > 0 ? chVal : null;
+  const ddVal = listing.dock_high_doors;
+  const dockDoors     = ddVal && toNum(ddVal) > 0 ? ddVal : null;
+  const ybVal = listing.year_built;
+  const yearBuilt     = ybVal && toNum(ybVal) > 0 ? ybVal : null;
+  const zoningVal = listing.zoning;
+  const zoning        = zoningVal && String(zoningVal).trim() ? zoningVal : null;
+  // Pricing comes normalized from the proxy (pricing.js)
+  const pricing = listing.pricing || {};
+  const askingPrice = pricing.sale_display || null;
+  const pricePerSF  = pricing.price_per_sf != null ? `${formatDollars(pricing.price_per_sf, 2)} /SF` : null;
+  const capRate     = pricing.cap_rate != null ? `${pricing.cap_rate}%` : null;
+  const leaseRate   = pricing.lease_display || null;
+
+  return [
+    { iconId: 'ico-price',  label: 'Asking Price',   value: askingPrice },
+    { iconId: 'ico-price',  label: 'Price / SF',     value: pricePerSF },
+    { iconId: 'ico-price',  label: 'Cap Rate',       value: capRate },
+    { iconId: 'ico-price',  label: 'Lease Rate',     value: leaseRate },
+    { iconId: 'ico-height', label: 'Ceiling Height', value: ceilingHeight != null ? formatFeet(ceilingHeight) : null },
+    { iconId: 'ico-dock',   label: 'Dock Doors',     value: dockDoors },
+    { iconId: 'ico-year',   label: 'Year Built',     value: yearBuilt },
+    { iconId: 'ico-zoning', label: 'Zoning',         value: zoning }
+  ];
+}
+
+// Build the expanded property card (photo, description, size, CTAs and key
+// highlights).  Used by the table's expand row and by the map's detail panel.
+// `matchFields` are the search words to highlight, per field.
+function buildPropertyCardHtml(listing, matchFields = {}) {
+  // Build a full location string for the detail card (street, city, state, zip).
+  // We strip leading comma in case address is missing.
+  const location = `${listing.address || ""}, ${listing.city || ""}, ${listing.state || ""} ${listing.zip || ""}`.replace(/^,\s*/, '');
+
+  const type = listingTypeText(listing);
+  const image = listing.photos?.[0]?.url || "https://via.placeholder.com/300x200";
+  const url = listing.lease_listing_url || listing.sale_listing_url || "#";
+
+  // Brochure/Video logic
+  let brochureUrl = null;
+  if (type === "For Sale") brochureUrl = listing.sale_pdf_url;
+  else if (type === "For Lease") brochureUrl = listing.lease_pdf_url;
+  else brochureUrl = listing.sale_pdf_url || listing.lease_pdf_url;
+
+  const videoUrl = listing.you_tube_url || listing.matterport_url || null;
+
+  // Subtype
+  const subtype = listing.propertySubtypeLabel || "";
+  const subtypeTypeLine = [highlightTerms(subtype, matchFields.subtype), toText(type)].filter(Boolean).join(" – ");
+
+  // Select description safely
+  let description = "";
+  if (listing.lease && listing.lease_description) description = listing.lease_description;
+  else if (listing.sale && listing.sale_description) description = listing.sale_description;
+  else description = "No description available.";
+
+  // Buttons
+  let buttonsHtml = `<a href="${url}" class="cta" target="_blank" rel="noopener noreferrer">View Listing</a>`;
+  if (brochureUrl) buttonsHtml += `<a href="${brochureUrl}" class="cta secondary" target="_blank" rel="noopener noreferrer">View Brochure</a>`;
+  if (videoUrl)    buttonsHtml += `<a href="${videoUrl}" class="cta secondary" target="_blank" rel="noopener noreferrer">View Video</a>`;
+  const coords = listingLatLng(listing);
+  if (coords) buttonsHtml += `<button type="button" class="cta secondary nearby-btn" data-near="${formatLatLngParam(coords)}">Nearby (${DEFAULT_RADIUS_MI} mi)</button>`;
+
+  // Generate highlight chips using the statChip helper. Only non-null values will render.
+  const highlightChips = keyHighlights(listing).map(statChip).join("");
+  const keyHighlightsHtml = highlightChips.trim()
+    ? `
+      <div class="key-highlights" role="region" aria-label="Key Property Highlights">
+        <div class="key-highlights__header">
+          <span class="stat__icon" aria-hidden="true"><svg><use href="#ico-height"></use></svg></span>
+          <div>Key Property Highlights</div>
+        </div>
+        <div class="key-highlights__rule"></div>
+        <div class="stats-grid">
+          ${highlightChips}
+        </div>
+      </div>
+    `
+    : '';
+
+  // Build the main content column. This contains the address, subtype/type line,
+  // description, size details and action buttons. Wrapping it in
+  // `.property-main` allows the CSS grid layout to treat it as the first
+  // column.
+  // Precompute the property size HTML using helper. This handles SF vs acres for land.
+  const propSizeHtml = formatPropertySize(listing);
+  const propertyMainHtml = `
+    <div class="property-main">
+      <h3>${location}</h3>
+      <div class="property-subtype-type">${subtypeTypeLine}</div>
+      <div class="property-description">${description}</div>
+      <div class="property-size">
+        ${propSizeHtml}
+      </div>
+      <div class="property-ctas">${buttonsHtml}</div>
+    </div>
+  `;
+
+  // Wrap the highlights card in its own container.  Only render this
+  // container if highlight content exists.  The CSS grid will place
+  // this container in the second column.
+  const highlightsSection = keyHighlightsHtml.trim()
+    ? `<div class="property-highlights-container">${keyHighlightsHtml}</div>`
+    : '';
+
+  return `
+    <div class="property-card">
+      <img
+        src="${image}"
+        data-full="${image}"
+        alt="Property image at ${location}"
+        class="property-img"
+        loading="lazy"
+      >
+      <div class="property-details">
+        ${propertyMainHtml}
+        ${highlightsSection}
+        ${buildSpacesTableHtml(listing)}
+      </div>
+    </div>
+  `;
+}
+
+// Replace the table body with a load failure notice (after loadListings()
+// fails) instead of an empty "No results" that reads like a filter miss.
+function renderLoadError() {
+  const tbody = document.getElementById("listing-body");
+  if (!tbody) return;
+  tbody.innerHTML = `<tr><td colspan="${tableColumnCount()}" style="padding:1.25rem; color:var(--lee-red);">Listings couldn't be loaded right now. Please reload the page to try again.</td></tr>`;
+}
+
 function renderTable(listingsArr) {
   const tbody = document.getElementById("listing-body");
   if (!tbody) return;
@@ -574,53 +853,27 @@ function renderTable(listingsArr) {
 
   if (!listingsArr.length) {
     const tr = document.createElement('tr');
-    tr.innerHTML = `<td colspan="5" style="padding:1.25rem; color:#666;">No results. Try adjusting filters or search.</td>`;
+    tr.innerHTML = `<td colspan="${tableColumnCount()}" style="padding:1.25rem; color:#666;">No results. Try adjusting filters or search.</td>`;
     tbody.appendChild(tr);
     return;
   }
 
   listingsArr.forEach(listing => {
-    // Build a full location string for the detail card (street, city, state, zip).  Also
-    // compute the street-only address for the table view.  We strip leading comma in
-    // case address is missing.
-    const location = `${listing.address || ""}, ${listing.city || ""}, ${listing.state || ""} ${listing.zip || ""}`.replace(/^,\s*/, '');
+    // The street-only address for the table view.
     const street   = listing.address || "";
-  // Determine the size string for the table row (uses SF or AC depending on property type)
-  const shownSize = getTableSize(listing);
-
-
-    const type = (listing.lease && listing.sale)
-      ? "For Sale & Lease"
-      : listing.lease
-        ? "For Lease"
-        : "For Sale";
+    // Determine the size string for the table row (uses SF or AC depending on property type)
+    const shownSize = getTableSize(listing);
 
+    const type = listingTypeText(listing);
     const pillClass = pillClassFromFlags(!!listing.lease, !!listing.sale);
-    const image = listing.photos?.[0]?.url || "https://via.placeholder.com/300x200";
-    const url = listing.lease_listing_url || listing.sale_listing_url || "#";
-    const brokerDisplay = listing.brokerDisplay;
-
-    // Brochure/Video logic
-    let brochureUrl = null;
-    if (type === "For Sale") brochureUrl = listing.sale_pdf_url;
-    else if (type === "For Lease") brochureUrl = listing.lease_pdf_url;
-    else brochureUrl = listing.sale_pdf_url || listing.lease_pdf_url;
-
-    const videoUrl = listing.you_tube_url || listing.matterport_url || null;
-
-    // Subtype
-    const subtype = propertySubtypes[listing.property_subtype_id] || "";
-    const subtypeTypeLine = [subtype, type].filter(Boolean).join(" – ");
-
-    // Select description safely
-    let description = "";
-    if (listing.lease && listing.lease_description) description = listing.lease_description;
-    else if (listing.sale && listing.sale_description) description = listing.sale_description;
-    else description = "No description available.";
+    // Words the search matched, per field, for highlighting.
+    const matchFields = activeMatches?.get(String(listing.id))?.fields || {};
+    const brokerDisplay = brokerPillsHtml(listing, matchFields.brokers);
 
     // Main row (click/keyboard toggles details)
     const mainRow = document.createElement("tr");
     mainRow.classList.add("main-row");
+    mainRow.dataset.listingId = String(listing.id);
     mainRow.setAttribute('tabindex', '0');
     mainRow.setAttribute('aria-expanded', 'false');
 
@@ -632,106 +885,38 @@ function renderTable(listingsArr) {
       expandRow.classList.toggle("open");
       mainRow.setAttribute('aria-expanded', String(isOpen));
     };
-    mainRow.onclick = toggle;
+    // Controls inside the row (compare checkbox) don't expand it.
+    mainRow.onclick = (e) => {
+      if (e.target.closest(".row-control")) return;
+      toggle();
+    };
     mainRow.onkeydown = (e) => {
+      if (e.target.closest(".row-control")) return;
       if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); toggle(); }
     };
-    // Build the row cells: property address, city, size, brokers, and listing type.
+    // Build the row cells: shortlist star, compare box, property address, city, size, price, brokers, listing type and date added.
+    const inCompare = compareIds.includes(String(listing.id));
     mainRow.innerHTML = `
-      <td>${toText(street)}</td>
-      <td>${toText(listing.city || '')}</td>
+      <td class="row-control star-cell">${starButtonHtml(listing)}</td>
+      <td class="row-control compare-cell">
+        <input type="checkbox" class="compare-check" data-listing-id="${toText(listing.id)}"
+          ${inCompare ? "checked" : ""} aria-label="Compare ${toText(street)}">
+      </td>
+      <td>${highlightTerms(street, matchFields.address)} ${recencyBadge(listing)}${distanceNote(listing)}</td>
+      <td>${highlightTerms(listing.city || '', matchFields.city)}</td>
       <td>${toText(shownSize)}</td>
+      <td class="price-cell">${priceCellHtml(listing)}</td>
       <td>${brokerDisplay}</td>
       <td><span class="badge ${pillClass}">${toText(type)}</span></td>
+      <td class="added-cell">${formatShortDate(listing.firstSeenAt)}</td>
     `;
 
-    // Buttons
-    let buttonsHtml = `<a href="${url}" class="cta" target="_blank" rel="noopener noreferrer">View Listing</a>`;
-    if (brochureUrl) buttonsHtml += `<a href="${brochureUrl}" class="cta secondary" target="_blank" rel="noopener noreferrer">View Brochure</a>`;
-    if (videoUrl)    buttonsHtml += `<a href="${videoUrl}" class="cta secondary" target="_blank" rel="noopener noreferrer">View Video</a>`;
-
-    // --- Key Highlights: extract key fields from the listing ---
-    // Only show highlights when the data is present and meaningful.
-    // Treat falsy or non-positive numeric values as missing.  Blank strings will
-    // also be considered missing.
-    const chVal = listing.ceiling_height_f;
-    const ceilingHeight = chVal && toNum(chVal) > 0 ? chVal : null;
-    const ddVal = listing.dock_high_doors;
-    const dockDoors     = ddVal && toNum(ddVal) > 0 ? ddVal : null;
-    const ybVal = listing.year_built;
-    const yearBuilt     = ybVal && toNum(ybVal) > 0 ? ybVal : null;
-    const zoningVal = listing.zoning;
-    const zoning        = zoningVal && String(zoningVal).trim() ? zoningVal : null;
-
-    // Generate highlight chips using the statChip helper. Only non-null values will render.
-    const highlightChips = [
-      statChip({ iconId: 'ico-height', label: 'Ceiling Height', value: ceilingHeight != null ? formatFeet(ceilingHeight) : null }),
-      statChip({ iconId: 'ico-dock',   label: 'Dock Doors',     value: dockDoors }),
-      statChip({ iconId: 'ico-year',   label: 'Year Built',     value: yearBuilt }),
-      statChip({ iconId: 'ico-zoning', label: 'Zoning',         value: zoning })
-    ].join("");
-    const keyHighlightsHtml = highlightChips.trim()
-      ? `
-        <div class="key-highlights" role="region" aria-label="Key Property Highlights">
-          <div class="key-highlights__header">
-            <span class="stat__icon" aria-hidden="true"><svg><use href="#ico-height"></use></svg></span>
-            <div>Key Property Highlights</div>
-          </div>
-          <div class="key-highlights__rule"></div>
-          <div class="stats-grid">
-            ${highlightChips}
-          </div>
-        </div>
-      `
-      : '';
-
-    // Build the main content column. This contains the address, subtype/type line,
-    // description, size details and action buttons. Wrapping it in
-    // `.property-main` allows the CSS grid layout to treat it as the first
-    // column.
-    // Precompute the property size HTML using helper. This handles SF vs acres for land.
-    const propSizeHtml = formatPropertySize(listing);
-    const propertyMainHtml = `
-      <div class="property-main">
-        <h3>${location}</h3>
-        <div class="property-subtype-type">${subtypeTypeLine}</div>
-        <div class="property-description">${description}</div>
-        <div class="property-size">
-          ${propSizeHtml}
-        </div>
-        <div class="property-ctas">${buttonsHtml}</div>
-      </div>
-    `;
-
-    // Wrap the highlights card in its own container.  Only render this
-    // container if highlight content exists.  The CSS grid will place
-    // this container in the second column.
-    const highlightsSection = keyHighlightsHtml.trim()
-      ? `<div class="property-highlights-container">${keyHighlightsHtml}</div>`
-      : '';
-
     expandRow.innerHTML = `
-      <td colspan="5">
-        <div class="property-card">
-          <img
-            src="${image}"
-            data-full="${image}"
-            alt="Property image at ${location}"
-            class="property-img"
-            loading="lazy"
-          >
-          <div class="property-details">
-            ${propertyMainHtml}
-            ${highlightsSection}
-          </div>
-        </div>
+      <td colspan="${tableColumnCount()}">
+        ${buildPropertyCardHtml(listing, matchFields)}
       </td>
     `;
 
-    // Ensure spacing between CTAs if .cta-group style is present in CSS
-    // .cta-group { display:flex; gap:.5rem; }
-
-    const tbody = document.getElementById("listing-body");
     tbody.appendChild(mainRow);
     tbody.appendChild(expandRow);
   });
@@ -751,7 +936,7 @@ function updateSortIndicators() {
 }
 
 
-function maybeLogSizeDiagnostics(listings, spacesByProperty) {
+function maybeLogSizeDiagnostics(listings) {
   if (!DEBUG) return;
 
   try {
@@ -762,7 +947,7 @@ function maybeLogSizeDiagnostics(listings, spacesByProperty) {
         addr: `${l.address || ''}, ${l.city || ''}`,
         type: l.property_type_id,
         lease: !!l.lease, sale: !!l.sale,
-        spaces: (spacesByProperty[l.id] || []).length,
+        spaces: (l.activeSpaces || []).length,
         spaceSizes: sd.spaceSizes || [],
         sumSpace: sd.sumSpace || 0,
         buildingSF: sd.buildingSF || 0
@@ -799,6 +984,12 @@ function filterAndSort() {
   const q = (document.getElementById("searchInput")?.value || "").toLowerCase();
   let arr = listingsGlobal;
 
+  // "Show only my shortlist"
+  if (shortlists.showOnly) {
+    const ids = new Set(activeShortlistIds());
+    arr = arr.filter(l => ids.has(String(l.id)));
+  }
+
   // Filter by property type
   if (currentTypeFilter) {
     arr = arr.filter(l => String(l.property_type_id) === currentTypeFilter);
@@ -816,20 +1007,67 @@ function filterAndSort() {
     });
   }
 
-  // Search filter
+  // Structured filters from the typeahead (exact matches)
+  const { city, zip, broker, subtype } = structuredFilters;
+  if (city) arr = arr.filter(l => (l.city || "").toLowerCase() === city.toLowerCase());
+  if (zip) arr = arr.filter(l => String(l.zip || "").slice(0, 5) === zip);
+  if (broker) arr = arr.filter(l => (l.brokers || []).some(b => String(b.id) === broker));
+  if (subtype) arr = arr.filter(l => String(l.property_subtype_id) === subtype);
+
+  // Price ranges (same rules as filterListings() in server.js)
+  const num = (v) => v === "" ? undefined : Number(v);
+  const [minPrice, maxPrice, minRate, maxRate] =
+    ["min_price", "max_price", "min_rate", "max_rate"].map(k => num(priceFilters[k]));
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    arr = arr.filter(l => {
+      const price = l.pricing?.sale_price;
+      return price != null &&
+        (minPrice === undefined || price >= minPrice) &&
+        (maxPrice === undefined || price <= maxPrice);
+    });
+  }
+  if (minRate !== undefined || maxRate !== undefined) {
+    arr = arr.filter(l => {
+      const lo = l.pricing?.lease_rate_min;
+      const hi = l.pricing?.lease_rate_max;
+      return lo != null &&
+        (minRate === undefined || hi >= minRate) &&
+        (maxRate === undefined || lo <= maxRate);
+    });
+  }
+
+  // Radius / boundary from the map tools (matched by the proxy)
+  arr = applyGeoFilters(arr);
+
+  // Search filter: use the proxy's ranked matches once they arrive for this
+  // exact text; until then (or if the request failed) fall back to a plain
+  // substring match on the visible text.
+  activeMatches = null;
   if (q) {
-    arr = arr.filter(l =>
-      (l.address || "").toLowerCase().includes(q) ||
-      (l.city || "").toLowerCase().includes(q) ||
-      (l.state || "").toLowerCase().includes(q) ||
-      (l.zip || "").toLowerCase().includes(q) ||
-      (l.brokerDisplay || "").toLowerCase().includes(q) ||
-      (l.lease_listing_web_title || "").toLowerCase().includes(q) ||
-      (l.sale_listing_web_title || "").toLowerCase().includes(q)
+    if (currentSearch.hits && currentSearch.q.toLowerCase() === q.trim()) {
+      activeMatches = currentSearch.hits;
+      arr = arr.filter(l => activeMatches.has(String(l.id)));
+    } else {
+      arr = arr.filter(l =>
+        (l.address || "").toLowerCase().includes(q) ||
+        (l.city || "").toLowerCase().includes(q) ||
+        (l.state || "").toLowerCase().includes(q) ||
+        (l.zip || "").toLowerCase().includes(q) ||
+        (l.brokers || []).some(b => (b.name || "").toLowerCase().includes(q)) ||
+        (l.lease_listing_web_title || "").toLowerCase().includes(q) ||
+        (l.sale_listing_web_title || "").toLowerCase().includes(q)
+      );
+    }
+  }
+
+  // With no column sort chosen, ranked search results show best match first.
+  if (!currentSort.key && activeMatches) {
+    arr = [...arr].sort((a, b) =>
+      (activeMatches.get(String(b.id))?.score || 0) - (activeMatches.get(String(a.id))?.score || 0)
     );
   }
 
-  // Sort
+  // Sort – keep in sync with sortListings() in server.js
   if (currentSort.key) {
     arr = [...arr].sort((a, b) => {
       let v1, v2;
@@ -857,8 +1095,10 @@ function filterAndSort() {
         }
 
         case "brokers":
-          v1 = (a.brokerDisplay || "").toLowerCase();
-          v2 = (b.brokerDisplay || "").toLowerCase();
+          // Sort on broker names, not the pill markup (which starts with
+          // the mailto: address).
+          v1 = (a.brokers || []).map(br => br.name).join(" ").toLowerCase();
+          v2 = (b.brokers || []).map(br => br.name).join(" ").toLowerCase();
           break;
 
         case "type":
@@ -871,6 +1111,32 @@ function filterAndSort() {
           v2 = (b.city || "").toLowerCase();
           break;
 
+        case "added":
+          // ISO timestamps compare chronologically as strings
+          v1 = a.firstSeenAt || "";
+          v2 = b.firstSeenAt || "";
+          break;
+
+        case "price": {
+          // Sale prices, then lease rates ($/SF/yr), then unpriced – in
+          // either direction, since dollars and rates don't compare.
+          const key = (l) => l.pricing?.sale_price != null ? [0, l.pricing.sale_price]
+            : l.pricing?.lease_rate_min != null ? [1, l.pricing.lease_rate_min]
+            : [2, 0];
+          const [ag, av] = key(a);
+          const [bg, bv] = key(b);
+          if (ag !== bg) return ag - bg;
+          return (av - bv) * currentSort.dir;
+        }
+
+        case "distance": {
+          // Listings without coordinates go last either way.
+          const ad = activeDistances?.get(String(a.id)) ?? null;
+          const bd = activeDistances?.get(String(b.id)) ?? null;
+          if (ad === null || bd === null) return (ad === null) - (bd === null);
+          return (ad - bd) * currentSort.dir;
+        }
+
         default:
           v1 = v2 = "";
       }
@@ -882,59 +1148,1696 @@ function filterAndSort() {
 
   renderTable(arr);
   updateSortIndicators();
-}
 
-// ---- DOM wiring
-document.addEventListener("DOMContentLoaded", () => {
-  // 1) Apply initial filters from URL BEFORE first render
-  const initial = getInitialFiltersFromURL();
-  if (initial.ptype) setPropertyTypeUI(initial.ptype);
-  if (initial.lt !== undefined) setListingTypeUI(initial.lt);
-  if (initial.q) setSearchUI(initial.q);
+  // The map follows the same result set (and re-fits to it).
+  lastResults = arr;
+  mapState.fitted = false;
+  renderMap();
+}
 
-  // 2) Wire inputs/filters
-  const searchInput = document.getElementById("searchInput");
-  if (searchInput) {
-    searchInput.addEventListener("input", debounce(() => {
-      filterAndSort();
-      updateURLFromFilters();
-    }, 180));
-    searchInput.addEventListener("focus", () => searchInput.select());
+// ---- Typeahead suggestions
+const SUGGEST_GROUP_LABELS = {
+  cities: "Cities",
+  zips: "ZIP codes",
+  addresses: "Properties",
+  brokers: "Brokers",
+  subtypes: "Property types",
+};
+let suggestItems = [];   // flat list of the options currently shown
+let suggestActive = -1;  // index into suggestItems of the highlighted option
+
+function closeSuggestions() {
+  const box = document.getElementById("searchSuggest");
+  const input = document.getElementById("searchInput");
+  if (box) { box.hidden = true; box.innerHTML = ""; }
+  if (input) {
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
   }
+  suggestItems = [];
+  suggestActive = -1;
+}
 
-  const typeSel = document.getElementById("listingTypeSelect");
-  if (typeSel) {
-    typeSel.addEventListener("change", () => {
-      currentListingType = typeSel.value || "";
-      filterAndSort();
-      updateURLFromFilters();
-    });
+function renderSuggestions(groups) {
+  const box = document.getElementById("searchSuggest");
+  const input = document.getElementById("searchInput");
+  if (!box || !input) return;
+
+  suggestItems = [];
+  suggestActive = -1;
+  let html = "";
+  for (const [group, label] of Object.entries(SUGGEST_GROUP_LABELS)) {
+    const items = groups?.[group] || [];
+    if (!items.length) continue;
+    html += `<div class="search-suggest__group" role="presentation">${label}</div>`;
+    for (const item of items) {
+      const i = suggestItems.push(item) - 1;
+      html += `
+        <div class="search-suggest__option" role="option" id="suggest-${i}" data-index="${i}" aria-selected="false">
+          <span>${toText(item.label)}</span>
+          ${group === "addresses" ? "" : `<span class="search-suggest__count">${item.count}</span>`}
+        </div>`;
+    }
   }
 
-  document.querySelectorAll(".filter-btn").forEach(btn => {
-    btn.addEventListener("click", function () {
-      currentTypeFilter = this.getAttribute("data-type") || "";
-      document.querySelectorAll(".filter-btn").forEach(b => b.classList.remove("active"));
-      this.classList.add("active");
-      filterAndSort();
-      updateURLFromFilters();
-    });
+  if (!suggestItems.length) { closeSuggestions(); return; }
+  box.innerHTML = html;
+  box.hidden = false;
+  input.setAttribute("aria-expanded", "true");
+}
+
+function moveSuggestion(step) {
+  if (!suggestItems.length) return;
+  suggestActive = (suggestActive + step + suggestItems.length) % suggestItems.length;
+  document.querySelectorAll(".search-suggest__option").forEach(el => {
+    const on = Number(el.dataset.index) === suggestActive;
+    el.classList.toggle("active", on);
+    el.setAttribute("aria-selected", String(on));
+    if (on) el.scrollIntoView({ block: "nearest" });
   });
+  document.getElementById("searchInput")?.setAttribute("aria-activedescendant", `suggest-${suggestActive}`);
+}
 
-  // Initialize sorting on table headers. Clicking a sortable header will cycle
-  // through ascending and descending sorts on that column. When a new column
-  // is clicked, the sort resets to ascending order.
-  document.querySelectorAll('th.sortable').forEach(th => {
-    th.addEventListener('click', function() {
-      const key = this.getAttribute('data-sort');
-      if (!key) return;
-      if (currentSort.key === key) {
-        currentSort.dir = -currentSort.dir; // toggle direction
-      } else {
-        currentSort.key = key;
-        currentSort.dir = 1; // default ascending
-      }
-      filterAndSort();
+async function fetchSuggestions(q) {
+  q = (q || "").trim();
+  if (!q) { closeSuggestions(); return; }
+  try {
+    const res = await fetchWithTimeout(`${API_BASE}/suggest?q=${encodeURIComponent(q)}`);
+    if (!res.ok) return;
+    const data = await res.json();
+    // Ignore answers for text the user has already typed past.
+    if ((document.getElementById("searchInput")?.value || "").trim() !== q) return;
+    renderSuggestions(data.groups);
+  } catch (err) {
+    console.warn('suggest request failed', err);
+  }
+}
+
+// A picked suggestion replaces the free text with an exact filter; picking an
+// address jumps straight to that listing.
+function applySuggestion(item) {
+  const input = document.getElementById("searchInput");
+  closeSuggestions();
+  if (input) input.value = "";
+  currentSearch = { q: "", hits: null };
+
+  if (item.filter.listing) {
+    deepLinkListingId = item.filter.listing;
+    const sp = new URLSearchParams(window.location.search);
+    sp.set("listing", deepLinkListingId);
+    history.replaceState(null, "", `${window.location.pathname}?${sp.toString()}`);
+    filterAndSort();
+    updateURLFromFilters();
+    openDeepLinkedListing(deepLinkListingId);
+    return;
+  }
+
+  structuredFilters = { ...structuredFilters, ...item.filter };
+  renderActiveFilters();
+  filterAndSort();
+  updateURLFromFilters();
+}
+
+function structuredFilterLabel(key, value) {
+  if (key === "city") return `City: ${value}`;
+  if (key === "zip") return `ZIP: ${value}`;
+  if (key === "subtype") {
+    // the proxy labels each listing's subtype
+    const l = listingsGlobal.find(x => String(x.property_subtype_id) === value);
+    return `Type: ${l?.propertySubtypeLabel || value}`;
+  }
+  if (key === "broker") {
+    for (const l of listingsGlobal) {
+      const b = (l.brokers || []).find(br => String(br.id) === value);
+      if (b) return `Broker: ${b.name}`;
+    }
+    return `Broker #${value}`;
+  }
+  return value;
+}
+
+// Removable chips for the structured and geo filters in effect.
+function renderActiveFilters() {
+  const wrap = document.getElementById("activeFilters");
+  if (!wrap) return;
+  const active = Object.entries(structuredFilters)
+    .filter(([, v]) => v)
+    .map(([key, value]) => [key, structuredFilterLabel(key, value)]);
+  if (geoFilter.near) {
+    const { lat, lng } = geoFilter.near;
+    const label = geoFilter.radiusMi
+      ? `Within ${geoFilter.radiusMi} mi of ${lat.toFixed(4)}, ${lng.toFixed(4)}`
+      : `Distance from ${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+    active.push(["near", label]);
+  }
+  if (geoFilter.within) active.push(["within", "Inside drawn area"]);
+  wrap.hidden = !active.length;
+  wrap.innerHTML = active.map(([key, label]) => `
+    <button type="button" class="filter-chip" data-key="${key}" aria-label="Remove filter ${toText(label)}">
+      ${toText(label)} <span aria-hidden="true">×</span>
+    </button>`).join("");
+  // The broker filter also shows that broker's profile.
+  renderBrokerProfile();
+}
+
+// ---- Geo filters
+// The proxy applies the radius and boundary filters (near, radius_mi and
+// within on /api/listings, see geo.js); the page asks it which listings
+// match and how far each is.  The geometry is kept here only to put it in
+// the URL and draw it on the map.
+const EARTH_RADIUS_MI = 3958.8;   // for drawing the radius ring
+const DEFAULT_RADIUS_MI = 5;
+
+function validLatLng(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+// { lat, lng } for a listing, or null when it has no usable location.
+function listingLatLng(listing) {
+  const lat = parseFloat(listing.latitude);
+  const lng = parseFloat(listing.longitude);
+  if (!validLatLng(lat, lng) || (lat === 0 && lng === 0)) return null;
+  return { lat, lng };
+}
+
+// "39.74,-104.99" <-> { lat, lng }
+function parseLatLngParam(value) {
+  const parts = String(value || "").split(",").map(p => p.trim());
+  if (parts.length !== 2 || parts.some(p => p === "")) return null;
+  const lat = Number(parts[0]);
+  const lng = Number(parts[1]);
+  return validLatLng(lat, lng) ? { lat, lng } : null;
+}
+const formatLatLngParam = ({ lat, lng }) => `${+lat.toFixed(5)},${+lng.toFixed(5)}`;
+
+// GeoJSON Polygon/MultiPolygon (or a Feature of one) from the URL; null if
+// malformed.  Stored as the geometry so it goes back out unchanged.
+function parseWithinParam(value) {
+  if (!value) return null;
+  let geo;
+  try { geo = JSON.parse(value); } catch (e) { return null; }
+  if (geo?.type === "Feature") geo = geo.geometry;
+  if (!geo || !["Polygon", "MultiPolygon"].includes(geo.type) || !Array.isArray(geo.coordinates)) return null;
+  const polygons = geo.type === "Polygon" ? [geo.coordinates] : geo.coordinates;
+  const ok = polygons.length && polygons.every(rings => Array.isArray(rings) && rings.length && rings.every(ring =>
+    Array.isArray(ring) && ring.length >= 3 &&
+    ring.every(pos => Array.isArray(pos) && validLatLng(Number(pos[1]), Number(pos[0])))));
+  return ok ? geo : null;
+}
+
+// geoFilter as /api/listings parameters (empty when no geo filter is set).
+function geoQuery() {
+  const sp = new URLSearchParams();
+  const { near, radiusMi, within } = geoFilter;
+  if (near) sp.set("near", formatLatLngParam(near));
+  if (near && radiusMi) sp.set("radius_mi", String(radiusMi));
+  if (within) sp.set("within", JSON.stringify(within));
+  return sp;
+}
+
+// Ask the proxy which listings geoFilter keeps and how far each is from
+// `near`, and re-render unless the filter has changed since.
+async function runGeoFilter(key) {
+  geoPendingKey = key;
+  try {
+    const res = await fetchWithTimeout(`${API_BASE}/listings?${key}&fields=id,distance_mi`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    if (geoQuery().toString() !== key) return;
+    geoResults = {
+      key,
+      distances: new Map((data.properties || []).map(p => [String(p.id), p.distance_mi ?? null]))
+    };
+    filterAndSort();
+  } catch (err) {
+    console.warn("geo filter request failed", err);
+  } finally {
+    if (geoPendingKey === key) geoPendingKey = "";
+  }
+}
+
+// Keep the listings the proxy matched for geoFilter and record their
+// distances (for the table and the distance sort) in activeDistances.  A
+// new filter is sent off here; until its answer arrives the previous one
+// (if any) stays applied, and the answer re-renders.
+function applyGeoFilters(arr) {
+  activeDistances = null;
+  const key = geoQuery().toString();
+  if (!key) return arr;
+  if (geoResults.key !== key && geoPendingKey !== key) runGeoFilter(key);
+  const { distances } = geoResults;
+  if (!distances) return arr;
+  if (geoFilter.near) activeDistances = distances;
+  return arr.filter(l => distances.has(String(l.id)));
+}
+
+// Set (or clear, with null) the radius center.  Setting one sorts nearest
+// first; clearing it drops a distance sort that no longer means anything.
+function setNearFilter(near, radiusMi = geoFilter.radiusMi || DEFAULT_RADIUS_MI) {
+  geoFilter = { ...geoFilter, near, radiusMi: near ? radiusMi : null };
+  if (near) currentSort = { key: "distance", dir: 1 };
+  else if (currentSort.key === "distance") currentSort = { key: null, dir: 1 };
+}
+
+function distanceNote(listing) {
+  const d = activeDistances?.get(String(listing.id));
+  if (d == null) return "";
+  return `<span class="distance-note">${d < 10 ? d.toFixed(1) : Math.round(d)} mi</span>`;
+}
+
+// ---- Map view
+// Plots whatever filterAndSort() last produced.  Drawn as plain SVG so it
+// needs no map library or network: set MAP_TILE_URL to a raster tile
+// template (e.g. a locally served '/tiles/{z}/{x}/{y}.png') to draw a basemap
+// under the markers, or leave it empty for a simple lat/long grid.
+const MAP_TILE_URL = '';
+const MAP_TILE_ATTRIBUTION = '';
+const MAP_TILE_SIZE = 256;
+const MAP_MIN_ZOOM = 2;
+const MAP_MAX_ZOOM = 18;
+const MAP_CLUSTER_PX = 44;   // markers closer than this merge into a cluster
+
+let currentView = "table";   // 'table' | 'map' | 'brokers' | 'dashboard'
+let lastResults = [];        // listings from the latest filterAndSort()
+// Center is in normalized Web Mercator units (0..1 on both axes).
+// `mode` is the active map tool: '' (browse), 'radius' or 'draw'; `draft`
+// holds the vertices of a boundary being drawn.
+const mapState = { zoom: 4, cx: 0.5, cy: 0.5, fitted: false, selectedId: null, mode: "", draft: [] };
+
+// Web Mercator, normalized so the whole world spans 0..1.
+function mercator(lat, lng) {
+  const sin = Math.sin(lat * Math.PI / 180);
+  return { x: (lng + 180) / 360, y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI) };
+}
+function inverseMercator(x, y) {
+  const lat = (2 * Math.atan(Math.exp((0.5 - y) * 2 * Math.PI)) - Math.PI / 2) * 180 / Math.PI;
+  return { lat, lng: x * 360 - 180 };
+}
+
+function mapViewport() {
+  const svg = document.getElementById("mapSvg");
+  const rect = svg?.getBoundingClientRect();
+  return { w: rect?.width || 900, h: rect?.height || 520 };
+}
+const mapWorldPx = () => MAP_TILE_SIZE * 2 ** mapState.zoom;
+
+function mapToScreen(p, vp) {
+  const scale = mapWorldPx();
+  return { x: (p.x - mapState.cx) * scale + vp.w / 2, y: (p.y - mapState.cy) * scale + vp.h / 2 };
+}
+
+// Zoom to `zoom`, keeping the map point under screen position (sx, sy) still.
+function zoomMapAt(zoom, sx, sy) {
+  const vp = mapViewport();
+  const before = mapWorldPx();
+  const wx = mapState.cx + (sx - vp.w / 2) / before;
+  const wy = mapState.cy + (sy - vp.h / 2) / before;
+  mapState.zoom = Math.min(MAP_MAX_ZOOM, Math.max(MAP_MIN_ZOOM, zoom));
+  const after = mapWorldPx();
+  mapState.cx = wx - (sx - vp.w / 2) / after;
+  mapState.cy = wy - (sy - vp.h / 2) / after;
+  renderMap();
+}
+
+function fitMapToPoints(points) {
+  mapState.fitted = true;
+  if (!points.length) return;
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs), maxX = Math.max(...xs);
+  const minY = Math.min(...ys), maxY = Math.max(...ys);
+  const vp = mapViewport();
+  const pad = 60;
+  const spanX = Math.max(maxX - minX, 1e-6);
+  const spanY = Math.max(maxY - minY, 1e-6);
+  const zoom = Math.log2(Math.min((vp.w - pad * 2) / (spanX * MAP_TILE_SIZE), (vp.h - pad * 2) / (spanY * MAP_TILE_SIZE)));
+  mapState.zoom = Math.min(14, Math.max(MAP_MIN_ZOOM, zoom));
+  mapState.cx = (minX + maxX) / 2;
+  mapState.cy = (minY + maxY) / 2;
+}
+
+// Greedy screen-space clustering: each point joins the first cluster whose
+// center is within MAP_CLUSTER_PX, else starts a new one.
+function clusterMapPoints(points, vp) {
+  const clusters = [];
+  for (const p of points) {
+    const s = mapToScreen(p, vp);
+    if (s.x < -MAP_CLUSTER_PX || s.y < -MAP_CLUSTER_PX || s.x > vp.w + MAP_CLUSTER_PX || s.y > vp.h + MAP_CLUSTER_PX) continue;
+    const near = clusters.find(c => Math.hypot(c.x - s.x, c.y - s.y) < MAP_CLUSTER_PX);
+    if (near) {
+      near.items.push(p);
+      near.x += (s.x - near.x) / near.items.length;
+      near.y += (s.y - near.y) / near.items.length;
+    } else {
+      clusters.push({ x: s.x, y: s.y, items: [p] });
+    }
+  }
+  return clusters;
+}
+
+// Raster tiles for the nearest whole zoom level, scaled to the current zoom.
+function mapTilesSvg(vp) {
+  const tz = Math.round(mapState.zoom);
+  const n = 2 ** tz;
+  const tilePx = MAP_TILE_SIZE * 2 ** (mapState.zoom - tz);
+  const originX = vp.w / 2 - mapState.cx * n * tilePx;
+  const originY = vp.h / 2 - mapState.cy * n * tilePx;
+  let out = "";
+  for (let ty = Math.floor(-originY / tilePx); ty * tilePx + originY < vp.h; ty++) {
+    if (ty < 0 || ty >= n) continue;
+    for (let tx = Math.floor(-originX / tilePx); tx * tilePx + originX < vp.w; tx++) {
+      const wrapped = ((tx % n) + n) % n;
+      const href = MAP_TILE_URL.replace("{z}", tz).replace("{x}", wrapped).replace("{y}", ty);
+      out += `<image href="${href}" x="${tx * tilePx + originX}" y="${ty * tilePx + originY}" width="${tilePx + 0.5}" height="${tilePx + 0.5}"/>`;
+    }
+  }
+  return out;
+}
+
+// Offline basemap: graticule with a spacing that keeps lines ~100px apart.
+function mapGraticuleSvg(vp) {
+  const pxPerDeg = mapWorldPx() / 360;
+  const steps = [30, 10, 5, 2, 1, 0.5, 0.25, 0.1, 0.05, 0.02, 0.01, 0.005];
+  const step = steps.find(st => st * pxPerDeg <= 160) ?? steps[steps.length - 1];
+  const scale = mapWorldPx();
+  const nw = inverseMercator(mapState.cx - vp.w / 2 / scale, mapState.cy - vp.h / 2 / scale);
+  const se = inverseMercator(mapState.cx + vp.w / 2 / scale, mapState.cy + vp.h / 2 / scale);
+  const decimals = step < 1 ? String(step).split(".")[1].length : 0;
+  let out = `<rect class="map-bg" x="0" y="0" width="${vp.w}" height="${vp.h}"/>`;
+  for (let lng = Math.ceil(nw.lng / step) * step; lng <= se.lng; lng += step) {
+    const { x } = mapToScreen(mercator(0, lng), vp);
+    out += `<line class="map-grid" x1="${x}" y1="0" x2="${x}" y2="${vp.h}"/>`;
+    out += `<text class="map-grid-label" x="${x + 3}" y="${vp.h - 6}">${lng.toFixed(decimals)}°</text>`;
+  }
+  for (let lat = Math.ceil(se.lat / step) * step; lat <= nw.lat; lat += step) {
+    const { y } = mapToScreen(mercator(lat, 0), vp);
+    out += `<line class="map-grid" x1="0" y1="${y}" x2="${vp.w}" y2="${y}"/>`;
+    out += `<text class="map-grid-label" x="4" y="${y - 3}">${lat.toFixed(decimals)}°</text>`;
+  }
+  return out;
+}
+
+function renderMap() {
+  const svg = document.getElementById("mapSvg");
+  if (!svg || currentView !== "map") return;
+
+  const points = [];
+  for (const listing of lastResults) {
+    const ll = listingLatLng(listing);
+    if (ll && Math.abs(ll.lat) <= 85) points.push({ ...mercator(ll.lat, ll.lng), listing });
+  }
+  // Fit to the results and to any radius/boundary, so an empty search area
+  // still shows where it is.
+  if (!mapState.fitted) fitMapToPoints([...points, ...geoFilterOutline().map(p => mercator(p.lat, p.lng))]);
+
+  const vp = mapViewport();
+  svg.setAttribute("viewBox", `0 0 ${vp.w} ${vp.h}`);
+
+  let markers = "";
+  for (const c of clusterMapPoints(points, vp)) {
+    if (c.items.length === 1) {
+      const l = c.items[0].listing;
+      const cls = pillClassFromFlags(!!l.lease, !!l.sale);
+      const selected = String(l.id) === mapState.selectedId ? " selected" : "";
+      markers += `
+        <g class="map-marker ${cls}${selected}" data-listing-id="${toText(l.id)}" tabindex="0" role="button" aria-label="${toText(`${l.address || ""}, ${l.city || ""}`)}">
+          <circle cx="${c.x}" cy="${c.y}" r="8"/>
+        </g>`;
+      continue;
+    }
+    // Color a cluster by its most common listing type.
+    const counts = { lease: 0, sale: 0, both: 0 };
+    c.items.forEach(p => counts[pillClassFromFlags(!!p.listing.lease, !!p.listing.sale)]++);
+    const cls = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    const r = Math.min(28, 13 + Math.log2(c.items.length) * 3);
+    const ids = c.items.map(p => p.listing.id).join(",");
+    markers += `
+      <g class="map-cluster ${cls}" data-cluster="${toText(ids)}" tabindex="0" role="button" aria-label="${c.items.length} listings">
+        <circle cx="${c.x}" cy="${c.y}" r="${r}"/>
+        <text x="${c.x}" y="${c.y}" dy=".35em">${c.items.length}</text>
+      </g>`;
+  }
+
+  svg.innerHTML = (MAP_TILE_URL ? mapTilesSvg(vp) : mapGraticuleSvg(vp)) + mapGeoOverlaySvg(vp) + markers;
+  svg.classList.toggle("picking", !!mapState.mode);
+
+  const status = document.getElementById("mapStatus");
+  if (status) {
+    const missing = lastResults.length - points.length;
+    status.textContent = `${points.length} mapped` + (missing > 0 ? ` · ${missing} without coordinates` : "");
+  }
+  const attribution = document.getElementById("mapAttribution");
+  if (attribution) attribution.innerHTML = MAP_TILE_URL ? MAP_TILE_ATTRIBUTION : "";
+}
+
+// Points that bound the active radius and boundary filters.
+function geoFilterOutline() {
+  const { near, radiusMi, within } = geoFilter;
+  const out = [];
+  if (within) {
+    const polygons = within.type === "Polygon" ? [within.coordinates] : within.coordinates;
+    polygons.forEach(rings => rings[0].forEach(([lng, lat]) => out.push({ lat, lng })));
+  }
+  if (near) {
+    const dLat = (radiusMi || 0) / 69;
+    const dLng = dLat / Math.max(0.01, Math.cos(near.lat * Math.PI / 180));
+    out.push({ lat: near.lat - dLat, lng: near.lng - dLng }, { lat: near.lat + dLat, lng: near.lng + dLng });
+  }
+  return out;
+}
+
+// Radius circle, boundary polygon and the boundary being drawn.
+function mapGeoOverlaySvg(vp) {
+  const project = (lat, lng) => mapToScreen(mercator(lat, lng), vp);
+  const { near, radiusMi, within } = geoFilter;
+  let out = "";
+  if (within) {
+    const polygons = within.type === "Polygon" ? [within.coordinates] : within.coordinates;
+    const d = polygons
+      .flatMap(rings => rings.map(ring => "M" + ring.map(([lng, lat]) => {
+        const p = project(lat, lng);
+        return `${p.x},${p.y}`;
+      }).join("L") + "Z"))
+      .join(" ");
+    out += `<path class="map-area" d="${d}" fill-rule="evenodd"/>`;
+  }
+  if (near) {
+    const c = project(near.lat, near.lng);
+    if (radiusMi) {
+      // Mercator stretches distances by 1 / cos(latitude).
+      const r = radiusMi / (2 * Math.PI * EARTH_RADIUS_MI * Math.cos(near.lat * Math.PI / 180)) * mapWorldPx();
+      out += `<circle class="map-radius-ring" cx="${c.x}" cy="${c.y}" r="${r}"/>`;
+    }
+    out += `<circle class="map-center" cx="${c.x}" cy="${c.y}" r="5"/>`;
+  }
+  if (mapState.mode === "draw" && mapState.draft.length) {
+    const pts = mapState.draft.map(p => project(p.lat, p.lng));
+    out += `<polyline class="map-draft" points="${pts.map(p => `${p.x},${p.y}`).join(" ")}"/>`;
+    out += pts.map((p, i) => `<circle class="map-draft-vertex${i === 0 ? " first" : ""}" cx="${p.x}" cy="${p.y}" r="${i === 0 ? 7 : 4}"/>`).join("");
+  }
+  return out;
+}
+
+function screenToLatLng(pt) {
+  const vp = mapViewport();
+  const scale = mapWorldPx();
+  return inverseMercator(mapState.cx + (pt.x - vp.w / 2) / scale, mapState.cy + (pt.y - vp.h / 2) / scale);
+}
+
+// Reflect geoFilter / mapState.mode in the map toolbar.
+function updateMapToolsUI() {
+  document.querySelectorAll(".map-tool").forEach(btn => {
+    const on = btn.dataset.tool === mapState.mode;
+    btn.classList.toggle("active", on);
+    btn.setAttribute("aria-pressed", String(on));
+  });
+  const drawBtn = document.querySelector('.map-tool[data-tool="draw"]');
+  if (drawBtn) drawBtn.textContent = mapState.mode === "draw" ? "Finish area" : "Draw area";
+
+  const sel = document.getElementById("mapRadius");
+  const radius = geoFilter.radiusMi || Number(sel?.value) || DEFAULT_RADIUS_MI;
+  if (sel) {
+    if (![...sel.options].some(o => Number(o.value) === radius)) sel.add(new Option(`${radius} mi`, String(radius)));
+    sel.value = String(radius);
+  }
+
+  const hint = document.getElementById("mapHint");
+  if (hint) {
+    hint.textContent = mapState.mode === "radius"
+      ? "Click the map to search around that point. Esc to cancel."
+      : mapState.mode === "draw"
+        ? "Click to add corners; click the first corner or press Enter to finish. Esc to cancel."
+        : "";
+    hint.hidden = !mapState.mode;
+  }
+}
+
+function setMapMode(mode) {
+  mapState.mode = mode;
+  mapState.draft = [];
+  updateMapToolsUI();
+  renderMap();
+}
+
+// Geo filters changed from the map: refilter, refresh chips and URL.
+function applyMapGeoChange() {
+  renderActiveFilters();
+  filterAndSort();
+  updateURLFromFilters();
+}
+
+function finishDrawing() {
+  if (mapState.draft.length < 3) { setMapMode(""); return; }
+  const ring = mapState.draft.map(p => [+p.lng.toFixed(5), +p.lat.toFixed(5)]);
+  ring.push(ring[0]); // GeoJSON rings are closed
+  geoFilter = { ...geoFilter, within: { type: "Polygon", coordinates: [ring] } };
+  setMapMode("");
+  applyMapGeoChange();
+}
+
+// Show the same card the table's expand row uses, beside the map.
+function showMapDetail(listing) {
+  const panel = document.getElementById("mapDetail");
+  if (!panel) return;
+  mapState.selectedId = String(listing.id);
+  const matchFields = activeMatches?.get(String(listing.id))?.fields || {};
+  panel.innerHTML = `
+    <button type="button" class="map-detail__close" aria-label="Close details">×</button>
+    ${buildPropertyCardHtml(listing, matchFields)}
+  `;
+  panel.hidden = false;
+  renderMap();
+}
+
+function closeMapDetail() {
+  const panel = document.getElementById("mapDetail");
+  if (panel) { panel.hidden = true; panel.innerHTML = ""; }
+  mapState.selectedId = null;
+  renderMap();
+}
+
+// Clicking a cluster zooms into it; once zooming can't split it (same
+// building, max zoom) the panel lists its listings instead.
+function openMapCluster(ids, sx, sy) {
+  const items = lastResults.filter(l => ids.includes(String(l.id)));
+  const coords = new Set(items.map(l => { const ll = listingLatLng(l); return ll ? `${ll.lat},${ll.lng}` : ""; }));
+  if (mapState.zoom < MAP_MAX_ZOOM && coords.size > 1) {
+    zoomMapAt(mapState.zoom + 2, sx, sy);
+    return;
+  }
+  const panel = document.getElementById("mapDetail");
+  if (!panel) return;
+  panel.innerHTML = `
+    <button type="button" class="map-detail__close" aria-label="Close details">×</button>
+    <h3 class="map-detail__title">${items.length} listings here</h3>
+    <ul class="map-detail__list">
+      ${items.map(l => `<li><button type="button" class="map-detail__item" data-listing-id="${toText(l.id)}">${toText(l.address || "")}, ${toText(l.city || "")} <span class="badge ${pillClassFromFlags(!!l.lease, !!l.sale)}">${toText(listingTypeText(l))}</span></button></li>`).join("")}
+    </ul>
+  `;
+  panel.hidden = false;
+}
+
+function setView(view) {
+  currentView = ["map", "brokers", "dashboard"].includes(view) ? view : "table";
+  document.querySelectorAll(".view-btn").forEach(b => {
+    const on = b.dataset.view === currentView;
+    b.classList.toggle("active", on);
+    b.setAttribute("aria-pressed", String(on));
+  });
+  const table = document.querySelector(".listing-table");
+  const map = document.getElementById("mapView");
+  const directory = document.getElementById("brokerDirectory");
+  if (table) table.hidden = currentView !== "table";
+  if (map) map.hidden = currentView !== "map";
+  const dashboard = document.getElementById("dashboardView");
+  if (directory) directory.hidden = currentView !== "brokers";
+  if (dashboard) dashboard.hidden = currentView !== "dashboard";
+  if (currentView === "map") {
+    mapState.fitted = false;
+    renderMap();
+  }
+  if (currentView === "brokers") renderBrokerDirectory();
+  if (currentView === "dashboard") renderDashboard();
+  renderBrokerProfile();
+}
+
+function initMapInteractions() {
+  const svg = document.getElementById("mapSvg");
+  if (!svg) return;
+  let drag = null;
+
+  const localPoint = (e) => {
+    const rect = svg.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const activate = (target, pt) => {
+    // The radius and draw tools take map clicks before markers do.
+    if (mapState.mode === "radius") {
+      setNearFilter(screenToLatLng(pt), Number(document.getElementById("mapRadius")?.value) || DEFAULT_RADIUS_MI);
+      setMapMode("");
+      applyMapGeoChange();
+      return;
+    }
+    if (mapState.mode === "draw") {
+      if (target.closest?.(".map-draft-vertex.first") && mapState.draft.length >= 3) finishDrawing();
+      else {
+        mapState.draft.push(screenToLatLng(pt));
+        renderMap();
+      }
+      return;
+    }
+
+    const marker = target.closest?.(".map-marker");
+    if (marker) {
+      const listing = lastResults.find(l => String(l.id) === marker.dataset.listingId);
+      if (listing) showMapDetail(listing);
+      return;
+    }
+    const cluster = target.closest?.(".map-cluster");
+    if (cluster) openMapCluster(cluster.dataset.cluster.split(","), pt.x, pt.y);
+  };
+
+  svg.addEventListener("pointerdown", (e) => {
+    drag = { start: localPoint(e), last: localPoint(e), moved: false, target: e.target };
+    svg.setPointerCapture?.(e.pointerId);
+  });
+  svg.addEventListener("pointermove", (e) => {
+    if (!drag) return;
+    const pt = localPoint(e);
+    if (Math.hypot(pt.x - drag.start.x, pt.y - drag.start.y) > 4) drag.moved = true;
+    if (!drag.moved) return;
+    const scale = mapWorldPx();
+    mapState.cx -= (pt.x - drag.last.x) / scale;
+    mapState.cy -= (pt.y - drag.last.y) / scale;
+    drag.last = pt;
+    svg.classList.add("dragging");
+    renderMap();
+  });
+  svg.addEventListener("pointerup", (e) => {
+    if (drag && !drag.moved) activate(drag.target, localPoint(e));
+    drag = null;
+    svg.classList.remove("dragging");
+  });
+  svg.addEventListener("wheel", (e) => {
+    e.preventDefault();
+    const pt = localPoint(e);
+    zoomMapAt(mapState.zoom + (e.deltaY < 0 ? 0.5 : -0.5), pt.x, pt.y);
+  }, { passive: false });
+  svg.addEventListener("keydown", (e) => {
+    const vp = mapViewport();
+    if (e.key === "Escape" && mapState.mode) {
+      setMapMode("");
+    } else if (e.key === "Enter" && mapState.mode === "draw") {
+      e.preventDefault();
+      finishDrawing();
+    } else if (e.key === "Enter" || e.key === " ") {
+      const item = e.target.closest?.(".map-marker, .map-cluster");
+      const box = item?.querySelector("circle");
+      if (!box) return;
+      e.preventDefault();
+      activate(item, { x: +box.getAttribute("cx"), y: +box.getAttribute("cy") });
+    } else if (e.key === "+" || e.key === "=") zoomMapAt(mapState.zoom + 1, vp.w / 2, vp.h / 2);
+    else if (e.key === "-") zoomMapAt(mapState.zoom - 1, vp.w / 2, vp.h / 2);
+  });
+
+  document.querySelectorAll(".map-tool").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const tool = btn.dataset.tool;
+      if (tool === "draw" && mapState.mode === "draw") finishDrawing();
+      else setMapMode(mapState.mode === tool ? "" : tool);
+      svg.focus();
+    });
+  });
+
+  const radiusSel = document.getElementById("mapRadius");
+  if (radiusSel) {
+    radiusSel.addEventListener("change", () => {
+      if (!geoFilter.near) return;
+      geoFilter = { ...geoFilter, radiusMi: Number(radiusSel.value) };
+      applyMapGeoChange();
+    });
+  }
+  updateMapToolsUI();
+
+  document.querySelectorAll(".map-zoom button").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const vp = mapViewport();
+      zoomMapAt(mapState.zoom + Number(btn.dataset.zoom), vp.w / 2, vp.h / 2);
+    });
+  });
+
+  const panel = document.getElementById("mapDetail");
+  if (panel) {
+    panel.addEventListener("click", (e) => {
+      if (e.target.closest(".map-detail__close")) { closeMapDetail(); return; }
+      const item = e.target.closest(".map-detail__item");
+      if (item) {
+        const listing = lastResults.find(l => String(l.id) === item.dataset.listingId);
+        if (listing) showMapDetail(listing);
+      }
+    });
+  }
+
+  window.addEventListener("resize", debounce(renderMap, 150));
+}
+
+// ---- Compare tray
+// Listings ticked for comparison, kept in localStorage so the tray survives a
+// reload.  The comparison itself opens over the page as a column-per-listing
+// grid; while open its ids are in the URL (?compare=1,2,3) so it can be
+// shared, and printing prints just the grid.
+const COMPARE_MAX = 4;
+const COMPARE_STORAGE_KEY = "buildout:compare";
+
+let compareIds = loadCompareIds();
+let compareOpen = false;
+let sharedCompareIds = [];   // ?compare= ids, opened once listings load
+let compareShownIds = [];    // listings in the open grid (the tray's or a shared link's)
+let compareShared = false;   // the open grid came from a link, not the tray
+
+function loadCompareIds() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY) || "[]");
+    return Array.isArray(ids) ? ids.map(String).slice(0, COMPARE_MAX) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveCompareIds() {
+  try {
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(compareIds));
+  } catch (e) {
+    // storage disabled or full: the tray just won't survive a reload
+  }
+}
+
+const findListing = (id) => listingsGlobal.find(l => String(l.id) === String(id));
+
+// Add or remove a listing.  Returns false when the tray is already full.
+function setCompared(id, on) {
+  id = String(id);
+  if (on && !compareIds.includes(id)) {
+    if (compareIds.length >= COMPARE_MAX) return false;
+    compareIds = [...compareIds, id];
+  } else if (!on) {
+    compareIds = compareIds.filter(x => x !== id);
+  }
+  saveCompareIds();
+  renderCompareTray();
+  document.querySelectorAll(`.compare-check[data-listing-id="${CSS.escape(id)}"]`).forEach(cb => { cb.checked = on; });
+  return true;
+}
+
+function renderCompareTray(note = "") {
+  const tray = document.getElementById("compareTray");
+  if (!tray) return;
+  tray.hidden = !compareIds.length;
+  if (!compareIds.length) { tray.innerHTML = ""; return; }
+  const items = compareIds.map(id => {
+    const l = findListing(id);
+    const label = l ? (l.address || `Listing ${id}`) : `Listing ${id}`;
+    return `
+      <span class="compare-tray__item">
+        ${toText(label)}
+        <button type="button" class="compare-tray__remove" data-listing-id="${toText(id)}" aria-label="Remove ${toText(label)} from comparison">×</button>
+      </span>`;
+  }).join("");
+  tray.innerHTML = `
+    <div class="compare-tray__items">${items}</div>
+    <div class="compare-tray__actions">
+      <span class="compare-tray__note">${toText(note || `${compareIds.length} of ${COMPARE_MAX}`)}</span>
+      <button type="button" class="cta secondary" data-compare-action="clear">Clear</button>
+      <button type="button" class="cta" data-compare-action="open" ${compareIds.length < 2 ? "disabled" : ""}>Compare (${compareIds.length})</button>
+    </div>
+  `;
+}
+
+// Rows of the comparison grid.  Values are plain text so rows can be
+// checked for differences.
+const COMPARE_FIELDS = [
+  { label: "Listing Type", value: l => listingTypeText(l) },
+  { label: "Subtype",      value: l => l.propertySubtypeLabel || "—" },
+  { label: "Size",         value: l => getTableSize(l) || "—" },
+  { label: "Available SF", value: l => l.totalAvailableSF > 0 ? `${l.totalAvailableSF.toLocaleString("en-US")} SF` : "—" },
+  { label: "Building SF",  value: l => l.buildingSF > 0 ? `${l.buildingSF.toLocaleString("en-US")} SF` : "—" },
+  { label: "Ceiling Height", value: l => toNum(l.ceiling_height_f) > 0 ? formatFeet(l.ceiling_height_f) : "—" },
+  { label: "Dock Doors",   value: l => toNum(l.dock_high_doors) > 0 ? String(l.dock_high_doors) : "—" },
+  { label: "Year Built",   value: l => toNum(l.year_built) > 0 ? String(l.year_built) : "—" },
+  { label: "Zoning",       value: l => String(l.zoning || "").trim() || "—" },
+  { label: "Asking Price", value: l => l.pricing?.sale_display || "—" },
+  { label: "Price / SF",   value: l => l.pricing?.price_per_sf != null ? `${formatDollars(l.pricing.price_per_sf, 2)} /SF` : "—" },
+  { label: "Cap Rate",     value: l => l.pricing?.cap_rate != null ? `${l.pricing.cap_rate}%` : "—" },
+  { label: "Lease Rate",   value: l => l.pricing?.lease_display || "—" },
+  { label: "Brokers",      value: l => (l.brokers || []).map(b => b.name).join(", ") || "—" },
+];
+
+function buildCompareGridHtml(listings) {
+  const head = listings.map(l => {
+    const image = httpUrl(l.photos?.[0]?.url) || "https://via.placeholder.com/300x200";
+    const url = httpUrl(l.lease_listing_url || l.sale_listing_url) || "#";
+    return `
+      <th scope="col" class="compare-grid__listing">
+        <img src="${toText(image)}" alt="" class="compare-grid__img" loading="lazy">
+        <a href="${toText(url)}" target="_blank" rel="noopener noreferrer">${toText(l.address || "")}</a>
+        <div class="compare-grid__city">${toText([l.city, l.state].filter(Boolean).join(", "))}</div>
+        <button type="button" class="compare-grid__remove" data-listing-id="${toText(l.id)}">Remove</button>
+      </th>`;
+  }).join("");
+  const rows = COMPARE_FIELDS.map(({ label, value }) => {
+    const values = listings.map(value);
+    const differs = new Set(values).size > 1;
+    return `
+      <tr class="${differs ? "differs" : ""}">
+        <th scope="row">${label}</th>
+        ${values.map(v => `<td>${toText(v)}</td>`).join("")}
+      </tr>`;
+  }).join("");
+  return `
+    <table class="compare-grid">
+      <thead><tr><td class="compare-grid__corner"><span class="compare-legend">Highlighted rows differ</span></td>${head}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Open (or refresh) a comparison: the tray's by default, or a shared link's
+// ids with `shared`.  A shared comparison is only shown, never saved over
+// the visitor's own tray; "Add to My Tray" merges it in when they choose.
+// Listings not in the loaded set (e.g. since deactivated) are fetched one
+// by one.
+async function openCompare(ids = compareIds, { shared = false } = {}) {
+  const view = document.getElementById("compareView");
+  const grid = document.getElementById("compareGrid");
+  if (!view || !grid) return;
+  const listings = [];
+  for (const id of ids) {
+    const l = findListing(id) || await fetchListing(id).catch(() => null);
+    if (l) listings.push(l);
+  }
+  if (!listings.length) { closeCompare(); return; }
+  compareShownIds = listings.map(l => String(l.id));
+  compareShared = shared;
+  grid.innerHTML = buildCompareGridHtml(listings);
+  const keep = view.querySelector('[data-compare-action="keep"]');
+  if (keep) keep.hidden = !shared;
+  view.hidden = false;
+  compareOpen = true;
+  document.body.classList.add("comparing");
+  updateURLFromFilters();
+}
+
+function closeCompare() {
+  const view = document.getElementById("compareView");
+  if (view) view.hidden = true;
+  compareOpen = false;
+  compareShared = false;
+  compareShownIds = [];
+  document.body.classList.remove("comparing");
+  updateURLFromFilters();
+}
+
+// "Add to My Tray" on a shared comparison: merge its listings into the tray,
+// up to COMPARE_MAX, and carry on with the tray's comparison.
+function keepSharedCompare() {
+  const merged = [...new Set([...compareIds, ...compareShownIds])];
+  compareIds = merged.slice(0, COMPARE_MAX);
+  saveCompareIds();
+  filterAndSort(); // tick the rows now in the tray
+  renderCompareTray(merged.length > COMPARE_MAX
+    ? `Tray full: ${merged.length - COMPARE_MAX} not added`
+    : "");
+  openCompare();
+}
+
+async function copyCompareLink(btn) {
+  const url = window.location.href;
+  try {
+    await navigator.clipboard.writeText(url);
+    btn.textContent = "Link Copied";
+    setTimeout(() => { btn.textContent = "Copy Link"; }, 1500);
+  } catch (e) {
+    window.prompt("Copy this link:", url);
+  }
+}
+
+function initCompare() {
+  // Row checkboxes (delegated: rows are rebuilt on every render)
+  document.getElementById("listing-body")?.addEventListener("change", (e) => {
+    const cb = e.target.closest(".compare-check");
+    if (!cb) return;
+    if (!setCompared(cb.dataset.listingId, cb.checked)) {
+      cb.checked = false;
+      renderCompareTray(`Compare up to ${COMPARE_MAX} listings`);
+    }
+  });
+
+  document.addEventListener("click", (e) => {
+    const gridRemove = e.target.closest(".compare-grid__remove");
+    if (gridRemove && compareShared) {
+      const ids = compareShownIds.filter(id => id !== gridRemove.dataset.listingId);
+      if (ids.length) openCompare(ids, { shared: true });
+      else closeCompare();
+      return;
+    }
+    const remove = gridRemove || e.target.closest(".compare-tray__remove");
+    if (remove) {
+      setCompared(remove.dataset.listingId, false);
+      if (compareOpen && !compareShared && compareIds.length) openCompare();
+      else if (compareOpen && !compareShared) closeCompare();
+      return;
+    }
+    const action = e.target.closest("[data-compare-action]")?.dataset.compareAction;
+    if (action === "open") openCompare();
+    else if (action === "clear") {
+      [...compareIds].forEach(id => setCompared(id, false));
+    } else if (action === "close") closeCompare();
+    else if (action === "keep") keepSharedCompare();
+    else if (action === "print") window.print();
+    else if (action === "copy") copyCompareLink(e.target.closest("button"));
+  });
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && compareOpen) closeCompare();
+  });
+}
+
+// ---- Shortlists
+// Named sets of starred listings, kept in localStorage:
+//   { active: <name>, showOnly: bool, lists: { <name>: [<id>, ...] } }
+// In memory `lists` is a Map: names come from prompts and shared links, and
+// as plain object keys "constructor" or "__proto__" would find
+// Object.prototype members instead of a list.
+// Stars toggle membership of the active list.  "Share" builds a link that
+// recreates the list (and shows just it) in someone else's browser.
+const SHORTLIST_STORAGE_KEY = "buildout:shortlists";
+const DEFAULT_SHORTLIST = "My Shortlist";
+const SHORTLIST_NAME_MAX = 60;
+
+let shortlists = loadShortlists();
+
+// A list name as typed or shared: control characters dropped, whitespace
+// collapsed, capped at SHORTLIST_NAME_MAX.  "" when nothing usable is left.
+function cleanShortlistName(name) {
+  return String(name ?? "")
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, SHORTLIST_NAME_MAX)
+    .trim();
+}
+
+function loadShortlists() {
+  const fallback = { active: DEFAULT_SHORTLIST, showOnly: false, lists: new Map([[DEFAULT_SHORTLIST, []]]) };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SHORTLIST_STORAGE_KEY) || "null");
+    if (!saved || typeof saved.lists !== "object" || !Object.keys(saved.lists).length) return fallback;
+    const lists = new Map();
+    for (const [name, ids] of Object.entries(saved.lists)) {
+      lists.set(name, Array.isArray(ids) ? ids.map(String) : []);
+    }
+    const active = lists.has(saved.active) ? saved.active : lists.keys().next().value;
+    return { active, showOnly: !!saved.showOnly, lists };
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function saveShortlists() {
+  try {
+    localStorage.setItem(SHORTLIST_STORAGE_KEY, JSON.stringify({
+      ...shortlists,
+      lists: Object.fromEntries(shortlists.lists)
+    }));
+  } catch (e) {
+    // storage disabled or full: lists last until the tab closes
+  }
+}
+
+const activeShortlistIds = () => shortlists.lists.get(shortlists.active) || [];
+
+function starButtonHtml(listing) {
+  const on = activeShortlistIds().includes(String(listing.id));
+  return `
+    <button type="button" class="star-btn${on ? " on" : ""}" data-listing-id="${toText(listing.id)}"
+      aria-pressed="${on}" aria-label="${on ? "Remove from" : "Add to"} ${toText(shortlists.active)}">
+      <i class="${on ? "fa-solid" : "fa-regular"} fa-star" aria-hidden="true"></i>
+    </button>`;
+}
+
+function toggleStar(id) {
+  id = String(id);
+  const ids = activeShortlistIds();
+  shortlists.lists.set(shortlists.active, ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]);
+  saveShortlists();
+  renderShortlistBar();
+  if (shortlists.showOnly) {
+    filterAndSort(); // un-starring drops the row from the view
+  } else {
+    document.querySelectorAll(`.star-btn[data-listing-id="${CSS.escape(id)}"]`).forEach(btn => {
+      btn.outerHTML = starButtonHtml({ id });
+    });
+  }
+}
+
+// Save a list from a shared link.  An existing list of the same name is
+// kept when its contents differ: the shared one is saved as "<name>
+// (shared)", "<name> (shared 2)" and so on, whichever is free (or already
+// holds exactly these listings).
+function importSharedShortlist({ name, ids }) {
+  const sameIds = (list) => list.join(",") === ids.join(",");
+  let target = name;
+  for (let n = 1; shortlists.lists.has(target) && !sameIds(shortlists.lists.get(target)); n += 1) {
+    target = n === 1 ? `${name} (shared)` : `${name} (shared ${n})`;
+  }
+  shortlists.lists.set(target, ids);
+  shortlists.active = target;
+  shortlists.showOnly = true;
+  saveShortlists();
+}
+
+function shortlistShareUrl() {
+  const sp = new URLSearchParams();
+  sp.set("shortlist", activeShortlistIds().join(","));
+  sp.set("shortlist_name", shortlists.active);
+  return `${window.location.origin}${window.location.pathname}?${sp.toString()}`;
+}
+
+function renderShortlistBar() {
+  const sel = document.getElementById("shortlistSelect");
+  if (sel) {
+    sel.innerHTML = [...shortlists.lists]
+      .map(([name, ids]) => `<option value="${toText(name)}">${toText(name)} (${ids.length})</option>`)
+      .join("");
+    sel.value = shortlists.active;
+  }
+  const only = document.getElementById("shortlistOnly");
+  if (only) only.checked = shortlists.showOnly;
+  const del = document.querySelector('[data-shortlist-action="delete"]');
+  if (del) del.disabled = shortlists.lists.size < 2;
+}
+
+// Switching lists, toggling the filter etc. all re-render with the new stars.
+function shortlistsChanged() {
+  saveShortlists();
+  renderShortlistBar();
+  filterAndSort();
+}
+
+async function handleShortlistAction(action, btn) {
+  const name = shortlists.active;
+  if (action === "new") {
+    const created = cleanShortlistName(window.prompt("Name for the new shortlist:"));
+    if (!created) return;
+    if (!shortlists.lists.has(created)) shortlists.lists.set(created, []);
+    shortlists.active = created;
+  } else if (action === "rename") {
+    const renamed = cleanShortlistName(window.prompt("Rename shortlist:", name));
+    if (!renamed || renamed === name || shortlists.lists.has(renamed)) return;
+    shortlists.lists = new Map(
+      [...shortlists.lists].map(([k, v]) => [k === name ? renamed : k, v])
+    );
+    shortlists.active = renamed;
+  } else if (action === "delete") {
+    if (shortlists.lists.size < 2) return;
+    if (!window.confirm(`Delete "${name}"?`)) return;
+    shortlists.lists.delete(name);
+    shortlists.active = shortlists.lists.keys().next().value;
+  } else if (action === "share") {
+    const url = shortlistShareUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      btn.textContent = "Link Copied";
+      setTimeout(() => { btn.textContent = "Share"; }, 1500);
+    } catch (e) {
+      window.prompt("Copy this link:", url);
+    }
+    return;
+  }
+  shortlistsChanged();
+}
+
+function initShortlists(shared) {
+  if (shared) {
+    importSharedShortlist(shared);
+    updateURLFromFilters(); // drop the share params once saved
+  }
+  renderShortlistBar();
+
+  document.getElementById("listing-body")?.addEventListener("click", (e) => {
+    const star = e.target.closest(".star-btn");
+    if (star) toggleStar(star.dataset.listingId);
+  });
+  document.getElementById("shortlistSelect")?.addEventListener("change", (e) => {
+    shortlists.active = e.target.value;
+    shortlistsChanged();
+  });
+  document.getElementById("shortlistOnly")?.addEventListener("change", (e) => {
+    shortlists.showOnly = e.target.checked;
+    shortlistsChanged();
+  });
+  document.querySelectorAll("[data-shortlist-action]").forEach(btn => {
+    btn.addEventListener("click", () => handleShortlistAction(btn.dataset.shortlistAction, btn));
+  });
+}
+
+// ---- Broker directory
+// The roster (view=brokers) lists every broker from the proxy's
+// /brokers/directory with their active listing count.  Picking a broker
+// narrows the table to their listings through the same `broker` filter the
+// typeahead uses (?broker=<id>), with a profile header above the table.
+let brokerDirectoryRequest = null;   // roster promise, fetched once
+
+function loadBrokerDirectory() {
+  if (!brokerDirectoryRequest) {
+    brokerDirectoryRequest = fetchWithTimeout(`${API_BASE}/brokers/directory`)
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+      .then(data => data.brokers || [])
+      .catch(err => {
+        console.error("broker directory error:", err);
+        brokerDirectoryRequest = null; // try again next time
+        return [];
+      });
+  }
+  return brokerDirectoryRequest;
+}
+
+const brokerPageHref = (id) => `?broker=${encodeURIComponent(id)}`;
+
+function brokerPhotoHtml(b, cls) {
+  if (b.photo_url) return `<img src="${toText(b.photo_url)}" alt="" class="${cls}" loading="lazy">`;
+  const initials = [b.first_name, b.last_name].map(n => (n || "").charAt(0)).join("").toUpperCase();
+  return `<div class="${cls} ${cls}--initials" aria-hidden="true">${toText(initials || "?")}</div>`;
+}
+
+// Title, phone and email lines shared by the roster cards and the profile.
+function brokerContactHtml(b) {
+  return [
+    b.title ? `<div class="broker-contact__title">${toText(b.title)}</div>` : "",
+    b.phone ? `<div><a href="tel:${toText(String(b.phone).replace(/[^\d+]/g, ""))}">${toText(b.phone)}</a></div>` : "",
+    b.email ? `<div><a href="mailto:${toText(b.email)}">${toText(b.email)}</a></div>` : "",
+  ].join("");
+}
+
+const activeListingsText = (n) => `${n} active listing${n === 1 ? "" : "s"}`;
+
+function brokerCardHtml(b) {
+  return `
+    <article class="broker-card">
+      ${brokerPhotoHtml(b, "broker-card__photo")}
+      <div class="broker-card__body">
+        <h3><a href="${brokerPageHref(b.id)}" class="broker-page-link" data-broker-id="${toText(b.id)}">${toText(b.name)}</a></h3>
+        <div class="broker-contact">${brokerContactHtml(b)}</div>
+        <a href="${brokerPageHref(b.id)}" class="broker-page-link broker-card__count" data-broker-id="${toText(b.id)}">${activeListingsText(b.active_listings)}</a>
+      </div>
+    </article>`;
+}
+
+async function renderBrokerDirectory() {
+  const grid = document.getElementById("brokerGrid");
+  if (!grid) return;
+  if (!grid.children.length) grid.innerHTML = `<p class="broker-directory__note">Loading brokers…</p>`;
+  const brokers = await loadBrokerDirectory();
+  grid.innerHTML = brokers.length
+    ? brokers.map(brokerCardHtml).join("")
+    : `<p class="broker-directory__note">No brokers to show.</p>`;
+}
+
+// Profile header for the broker the table is narrowed to (hidden otherwise).
+async function renderBrokerProfile() {
+  const box = document.getElementById("brokerProfile");
+  if (!box) return;
+  const id = structuredFilters.broker;
+  if (!id || !["table", "map"].includes(currentView)) { box.hidden = true; return; }
+  const brokers = await loadBrokerDirectory();
+  if (structuredFilters.broker !== id) return; // changed while loading
+  const b = brokers.find(br => String(br.id) === id);
+  if (!b) { box.hidden = true; return; }
+  box.innerHTML = `
+    ${brokerPhotoHtml(b, "broker-profile__photo")}
+    <div class="broker-profile__body">
+      <h2>${toText(b.name)}</h2>
+      <div class="broker-contact">${brokerContactHtml(b)}</div>
+      <div class="broker-profile__count">${activeListingsText(b.active_listings)}</div>
+    </div>
+    <button type="button" class="shortlist-btn" data-broker-action="directory">All Brokers</button>
+  `;
+  box.hidden = false;
+}
+
+// Narrow the table to one broker's listings.
+function showBrokerListings(id) {
+  structuredFilters = { ...structuredFilters, broker: String(id) };
+  setView("table");
+  renderActiveFilters();
+  filterAndSort();
+  updateURLFromFilters();
+  window.scrollTo(0, 0);
+}
+
+function initBrokerDirectory() {
+  document.addEventListener("click", (e) => {
+    const link = e.target.closest(".broker-page-link");
+    if (link) {
+      // plain clicks stay in the page; modified clicks open a new tab
+      if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+      e.preventDefault();
+      showBrokerListings(link.dataset.brokerId);
+      return;
+    }
+    if (e.target.closest("[data-broker-action]")?.dataset.brokerAction === "directory") {
+      structuredFilters = { ...structuredFilters, broker: "" };
+      renderActiveFilters();
+      filterAndSort();
+      setView("brokers");
+      updateURLFromFilters();
+    }
+  });
+}
+
+// ---- Dashboard
+// Portfolio stats (view=dashboard), drawn from the proxy's /stats so the
+// numbers match every other consumer.  Covers all active listings; the
+// filters above apply to the table and map only.
+const DASHBOARD_TOP_N = 10;  // rows shown per breakdown (the rest are summed)
+
+let dashboardInterval = "week";   // added/removed bucket: day | week | month
+
+const formatSF = (n) => n > 0 ? `${n.toLocaleString("en-US")} SF` : "—";
+
+function kpiHtml(label, value) {
+  return `<div class="kpi"><div class="kpi__value">${value}</div><div class="kpi__label">${label}</div></div>`;
+}
+
+// One breakdown as a table of bars.  `drill` names the table filter a row
+// applies when clicked (type, subtype or broker); omit for no drill-down.
+function breakdownHtml(title, rows, drill) {
+  const shown = rows.slice(0, DASHBOARD_TOP_N);
+  const rest = rows.slice(DASHBOARD_TOP_N);
+  if (rest.length) {
+    shown.push({
+      label: `${rest.length} more`,
+      listings: rest.reduce((sum, r) => sum + r.listings, 0),
+      available_sf: rest.reduce((sum, r) => sum + r.available_sf, 0),
+    });
+  }
+  const max = Math.max(1, ...shown.map(r => r.listings));
+  const body = shown.map(r => {
+    const label = drill && r.key !== undefined
+      ? `<button type="button" class="stat-drill" data-drill="${drill}" data-key="${toText(r.key)}">${toText(r.label)}</button>`
+      : toText(r.label);
+    return `
+      <tr>
+        <th scope="row">${label}</th>
+        <td class="stat-bar-cell"><span class="stat-bar" style="width:${(r.listings / max) * 100}%"></span></td>
+        <td class="num">${r.listings}</td>
+        <td class="num">${formatSF(r.available_sf)}</td>
+      </tr>`;
+  }).join("");
+  return `
+    <section class="dash-card">
+      <h3>${title}</h3>
+      <table class="stat-table">
+        <thead><tr><th>${title.replace(/^By /, "")}</th><th><span class="sr-only">Share</span></th><th class="num">Listings</th><th class="num">Available SF</th></tr></thead>
+        <tbody>${body || `<tr><td colspan="4">No listings</td></tr>`}</tbody>
+      </table>
+    </section>`;
+}
+
+function listingMixHtml(mix) {
+  const parts = [
+    ["lease", "For Lease", mix.lease],
+    ["sale", "For Sale", mix.sale],
+    ["both", "Sale & Lease", mix.both],
+  ];
+  const total = parts.reduce((sum, [, , n]) => sum + n, 0) || 1;
+  return `
+    <section class="dash-card">
+      <h3>Lease vs Sale</h3>
+      <div class="mix-bar">
+        ${parts.map(([cls, label, n]) => n ? `<span class="mix-bar__part ${cls}" style="width:${(n / total) * 100}%" title="${label}: ${n}"></span>` : "").join("")}
+      </div>
+      <ul class="mix-legend">
+        ${parts.map(([cls, label, n]) => `<li><i class="mix-legend__dot ${cls}"></i>${label} <strong>${n}</strong> (${Math.round((n / total) * 100)}%)</li>`).join("")}
+      </ul>
+    </section>`;
+}
+
+// Vertical bar chart: `bars` are { label, values: [{ cls, value, title }] }.
+function columnChartHtml(bars) {
+  const max = Math.max(1, ...bars.flatMap(b => b.values.map(v => v.value)));
+  return `
+    <div class="col-chart">
+      ${bars.map(b => `
+        <div class="col-chart__group">
+          <div class="col-chart__bars">
+            ${b.values.map(v => `<span class="col-chart__bar ${v.cls}" style="height:${(v.value / max) * 100}%" title="${toText(v.title)}"><span>${v.value || ""}</span></span>`).join("")}
+          </div>
+          <div class="col-chart__label">${toText(b.label)}</div>
+        </div>`).join("")}
+    </div>`;
+}
+
+function sizeDistributionHtml(dist) {
+  const bars = dist.buckets.map(b => ({
+    label: b.label,
+    values: [{ cls: "size", value: b.listings, title: `${b.label}: ${b.listings}` }],
+  }));
+  return `
+    <section class="dash-card">
+      <h3>Size Distribution</h3>
+      ${columnChartHtml(bars)}
+      <p class="dash-note">Available SF, else building SF (lot size for land).${dist.unknown ? ` ${dist.unknown} without a size.` : ""}</p>
+    </section>`;
+}
+
+function changesHtml(changes) {
+  const bars = changes.periods.map(p => ({
+    label: formatShortDate(`${p.period}T12:00:00Z`),
+    values: [
+      { cls: "added", value: p.added, title: `${p.added} added` },
+      { cls: "removed", value: p.removed, title: `${p.removed} removed` },
+    ],
+  }));
+  const options = ["day", "week", "month"]
+    .map(v => `<option value="${v}" ${v === changes.interval ? "selected" : ""}>By ${v}</option>`).join("");
+  return `
+    <section class="dash-card dash-card--wide">
+      <div class="dash-card__head">
+        <h3>Added &amp; Removed</h3>
+        <label class="select-wrap" aria-label="Group changes by">
+          <select id="dashInterval" class="select-control">${options}</select>
+        </label>
+      </div>
+      ${bars.length ? columnChartHtml(bars) : `<p class="dash-note">No listing changes recorded yet.</p>`}
+      <ul class="mix-legend">
+        <li><i class="mix-legend__dot added"></i>Added</li>
+        <li><i class="mix-legend__dot removed"></i>Removed</li>
+      </ul>
+    </section>`;
+}
+
+async function renderDashboard() {
+  const box = document.getElementById("dashboardView");
+  if (!box || currentView !== "dashboard") return;
+  if (!box.children.length) box.innerHTML = `<p class="dash-note">Loading stats…</p>`;
+  let stats;
+  try {
+    const res = await fetchWithTimeout(`${API_BASE}/stats?interval=${dashboardInterval}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    stats = await res.json();
+  } catch (err) {
+    console.error("stats error:", err);
+    box.innerHTML = `<p class="dash-note">Stats are unavailable right now.</p>`;
+    return;
+  }
+  if (currentView !== "dashboard") return;
+  const { totals, listing_type: mix } = stats;
+  box.innerHTML = `
+    <div class="kpi-row">
+      ${kpiHtml("Active Listings", totals.listings.toLocaleString("en-US"))}
+      ${kpiHtml("Available SF", formatSF(totals.available_sf))}
+      ${kpiHtml("For Lease", mix.lease)}
+      ${kpiHtml("For Sale", mix.sale)}
+      ${kpiHtml("Sale &amp; Lease", mix.both)}
+    </div>
+    <div class="dash-grid">
+      ${breakdownHtml("By Property Type", stats.by_type, "type")}
+      ${listingMixHtml(mix)}
+      ${breakdownHtml("By Subtype", stats.by_subtype, "subtype")}
+      ${breakdownHtml("By City", stats.by_city)}
+      ${breakdownHtml("By Broker", stats.by_broker, "broker")}
+      ${sizeDistributionHtml(stats.size_distribution)}
+      ${changesHtml(stats.changes)}
+    </div>
+    <p class="dash-note">As of ${formatShortDate(stats.last_updated)}.${stats.stale ? " The latest refresh from Buildout failed; these are the last good numbers." : ""}</p>
+  `;
+}
+
+function initDashboard() {
+  const box = document.getElementById("dashboardView");
+  if (!box) return;
+  box.addEventListener("change", (e) => {
+    if (e.target.id !== "dashInterval") return;
+    dashboardInterval = e.target.value;
+    renderDashboard();
+  });
+  // Breakdown rows open the table filtered to that slice.
+  box.addEventListener("click", (e) => {
+    const btn = e.target.closest(".stat-drill");
+    if (!btn) return;
+    const { drill, key } = btn.dataset;
+    if (drill === "broker") { showBrokerListings(key); return; }
+    if (drill === "type") setPropertyTypeUI(key);
+    else structuredFilters = { ...structuredFilters, [drill]: key };
+    setView("table");
+    renderActiveFilters();
+    filterAndSort();
+    updateURLFromFilters();
+  });
+}
+
+// ---- Export
+// CSV and Excel downloads of exactly what the table shows, in its order:
+// the proxy builds them (/api/listings.csv and .xlsx, listing-export.js)
+// from the same filters and sort.
+const EXPORT_TIMEOUT_MS = 60000;
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportListings(format, btn) {
+  const ext = format === "xlsx" ? "xlsx" : "csv";
+  if (btn) btn.disabled = true;
+  try {
+    const res = await fetchWithTimeout(`${API_BASE}/listings.${ext}?${currentViewQuery().toString()}`, EXPORT_TIMEOUT_MS);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(await res.blob(), `listings-${stamp}.${ext}`);
+  } catch (err) {
+    console.error("export error:", err);
+    window.alert("The export couldn't be built right now. Please try again.");
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+// ---- Availability report
+// The proxy's printable report (/api/report, listing-report.js) for the
+// table's current view, shown in a frame: a cover page with counts by
+// property type, then one block per listing, each property type (or city)
+// starting on a new page.
+const REPORT_GROUPS = ["type", "city"];   // /api/report's group_by values
+
+let reportGroupBy = "";      // '' = closed, else a REPORT_GROUPS value (?report=)
+let sharedReportGroup = "";  // ?report= on load, opened once listings load
+
+function reportUrl(groupBy) {
+  const sp = currentViewQuery();
+  sp.set("group_by", groupBy);
+  return `${API_BASE}/report?${sp.toString()}`;
+}
+
+function openReport(groupBy = reportGroupBy || "type") {
+  const view = document.getElementById("reportView");
+  const frame = document.getElementById("reportFrame");
+  if (!view || !frame) return;
+  reportGroupBy = REPORT_GROUPS.includes(groupBy) ? groupBy : "type";
+  const select = document.getElementById("reportGroup");
+  if (select) select.value = reportGroupBy;
+  frame.src = reportUrl(reportGroupBy);
+  view.hidden = false;
+  document.body.classList.add("reporting");
+  updateURLFromFilters();
+}
+
+// Browsers only let a page print frames from its own origin; when the proxy
+// lives elsewhere, open the report in a tab to print or save it from there.
+function printReport() {
+  const frame = document.getElementById("reportFrame");
+  if (!frame?.src) return;
+  try {
+    frame.contentWindow.print();
+  } catch (e) {
+    window.open(frame.src, "_blank", "noopener");
+  }
+}
+
+function closeReport() {
+  const view = document.getElementById("reportView");
+  if (view) view.hidden = true;
+  document.getElementById("reportFrame")?.removeAttribute("src");
+  reportGroupBy = "";
+  document.body.classList.remove("reporting");
+  updateURLFromFilters();
+}
+
+function initReport() {
+  document.getElementById("reportGroup")?.addEventListener("change", (e) => openReport(e.target.value));
+  document.addEventListener("click", (e) => {
+    const action = e.target.closest("[data-report-action]")?.dataset.reportAction;
+    if (action === "open") openReport();
+    else if (action === "print") printReport();
+    else if (action === "close") closeReport();
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && reportGroupBy) closeReport();
+  });
+}
+
+// ---- Branding
+// Swap in the tenant's name and logo.  Failures keep the page defaults.
+async function loadBranding() {
+  try {
+    const res = await fetchWithTimeout(`${API_BASE}/branding`);
+    if (!res.ok) return;
+    const data = await res.json();
+    branding = { ...branding, ...data.branding };
+  } catch {
+    return;
+  }
+  document.title = `Exclusive Listings | ${branding.name}`;
+  const logo = document.querySelector(".site-logo");
+  if (logo) {
+    if (branding.logoUrl) logo.src = branding.logoUrl;
+    logo.alt = `${branding.name} Logo`;
+  }
+}
+
+// ---- DOM wiring
+document.addEventListener("DOMContentLoaded", () => {
+  // 1) Apply initial filters from URL BEFORE first render
+  const initial = getInitialFiltersFromURL();
+  if (initial.ptype) setPropertyTypeUI(initial.ptype);
+  if (initial.lt !== undefined) setListingTypeUI(initial.lt);
+  if (initial.q) setSearchUI(initial.q);
+  if (initial.sort) currentSort = { key: initial.sort, dir: initial.dir };
+  else if (initial.geo.near) currentSort = { key: "distance", dir: 1 }; // nearest first
+  setView(initial.view);
+  initMapInteractions();
+  sharedCompareIds = initial.compare;
+  initCompare();
+  renderCompareTray();
+  initShortlists(initial.sharedShortlist);
+  initReport();
+  initBrokerDirectory();
+  initDashboard();
+  loadBranding();
+  sharedReportGroup = initial.report;
+
+  document.querySelectorAll("[data-export]").forEach(btn => {
+    btn.addEventListener("click", () => exportListings(btn.dataset.export, btn));
+  });
+
+  document.querySelectorAll(".view-btn").forEach(btn => {
+    btn.addEventListener("click", () => {
+      setView(btn.dataset.view);
+      updateURLFromFilters();
+    });
+  });
+  deepLinkListingId = initial.listing;
+  structuredFilters = { ...structuredFilters, ...initial.structured };
+  geoFilter = initial.geo;
+  priceFilters = { ...priceFilters, ...initial.prices };
+  renderActiveFilters();
+
+  // Price / rate range inputs (applied as you type)
+  document.querySelectorAll(".range-input").forEach(input => {
+    input.value = priceFilters[input.dataset.key] || "";
+    input.addEventListener("input", debounce(() => {
+      const v = input.value.trim();
+      priceFilters = { ...priceFilters, [input.dataset.key]: v !== "" && Number(v) >= 0 ? v : "" };
+      filterAndSort();
+      updateURLFromFilters();
+    }, 250));
+  });
+
+  // "Nearby" on a property card: radius search around that listing
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest(".nearby-btn");
+    if (!btn) return;
+    setNearFilter(parseLatLngParam(btn.dataset.near), DEFAULT_RADIUS_MI);
+    renderActiveFilters();
+    filterAndSort();
+    updateURLFromFilters();
+  });
+
+  // 2) Wire inputs/filters
+  const searchInput = document.getElementById("searchInput");
+  if (searchInput) {
+    searchInput.addEventListener("input", debounce(() => {
+      filterAndSort();
+      updateURLFromFilters();
+      runServerSearch(searchInput.value);
+      fetchSuggestions(searchInput.value);
+    }, 180));
+    searchInput.addEventListener("focus", () => searchInput.select());
+    searchInput.addEventListener("keydown", (e) => {
+      const open = suggestItems.length > 0;
+      if (e.key === "ArrowDown" && open) { e.preventDefault(); moveSuggestion(1); }
+      else if (e.key === "ArrowUp" && open) { e.preventDefault(); moveSuggestion(-1); }
+      else if (e.key === "Enter" && open && suggestActive >= 0) {
+        e.preventDefault();
+        applySuggestion(suggestItems[suggestActive]);
+      } else if (e.key === "Escape" && open) {
+        e.preventDefault();
+        closeSuggestions();
+      }
+    });
+    // Delay so a click on an option lands before the list disappears.
+    searchInput.addEventListener("blur", () => setTimeout(closeSuggestions, 150));
+  }
+
+  const suggestBox = document.getElementById("searchSuggest");
+  if (suggestBox) {
+    // mousedown (not click) so the input doesn't blur first
+    suggestBox.addEventListener("mousedown", (e) => {
+      const opt = e.target.closest(".search-suggest__option");
+      if (!opt) return;
+      e.preventDefault();
+      applySuggestion(suggestItems[Number(opt.dataset.index)]);
+    });
+  }
+
+  const activeFilters = document.getElementById("activeFilters");
+  if (activeFilters) {
+    activeFilters.addEventListener("click", (e) => {
+      const chip = e.target.closest(".filter-chip");
+      if (!chip) return;
+      const key = chip.dataset.key;
+      if (key === "near") setNearFilter(null);
+      else if (key === "within") geoFilter = { ...geoFilter, within: null };
+      else structuredFilters = { ...structuredFilters, [key]: "" };
+      renderActiveFilters();
+      filterAndSort();
+      updateURLFromFilters();
+    });
+  }
+
+  const typeSel = document.getElementById("listingTypeSelect");
+  if (typeSel) {
+    typeSel.addEventListener("change", () => {
+      currentListingType = typeSel.value || "";
+      filterAndSort();
+      updateURLFromFilters();
+    });
+  }
+
+  document.querySelectorAll(".filter-btn").forEach(btn => {
+    btn.addEventListener("click", function () {
+      currentTypeFilter = this.getAttribute("data-type") || "";
+      document.querySelectorAll(".filter-btn").forEach(b => b.classList.remove("active"));
+      this.classList.add("active");
+      filterAndSort();
+      updateURLFromFilters();
+    });
+  });
+
+  // Initialize sorting on table headers. Clicking a sortable header will cycle
+  // through ascending and descending sorts on that column. When a new column
+  // is clicked, the sort resets to ascending order (descending for dates).
+  document.querySelectorAll('th.sortable').forEach(th => {
+    th.addEventListener('click', function() {
+      const key = this.getAttribute('data-sort');
+      if (!key) return;
+      if (currentSort.key === key) {
+        currentSort.dir = -currentSort.dir; // toggle direction
+      } else {
+        currentSort.key = key;
+        // default ascending, except dates: newest first is what people want
+        currentSort.dir = key === "added" ? -1 : 1;
+      }
+      filterAndSort();
+      updateURLFromFilters();
     });
   });
 
@@ -0,0 +1,323 @@
+// search-index.js
+// Relevance-ranked search over the enriched listing model.  server.js builds
+// a fresh index every time the cache is replaced (see setCaches()), so a
+// search is a few map lookups instead of a substring scan over every listing.
+//
+// Matching is per token and AND-ed: every query word has to hit some field of
+// a listing.  A query word hits an indexed word when it is
+//   - the same word                       (full credit),
+//   - a prefix of it, "ware" -> warehouse (partial credit, while typing), or
+//   - within a small edit distance        (less credit, typos like "warehose").
+// Each hit is weighted by the field it was found in and by how rare the word
+// is, and a listing's score is the sum over the query words.
+
+const { PROPERTY_TYPES, PROPERTY_SUBTYPES } = require('./property-types');
+
+// How much a hit in each field is worth.  Location and people outrank prose.
+const FIELD_WEIGHTS = {
+  address: 3,
+  zip: 3,
+  city: 2.5,
+  brokers: 2.5,
+  title: 2,
+  subtype: 2,
+  type: 1.5,
+  zoning: 1.5,
+  state: 1,
+  description: 1
+};
+
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.75,
+  fuzzy: 0.55,
+  fuzzyPrefix: 0.4
+};
+
+// Words too common to carry any signal in titles and descriptions.
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'in', 'on', 'at', 'for', 'to', 'with', 'by',
+  'or', 'is', 'are', 'this', 'that', 'from', 'as', 'be', 'it'
+]);
+
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+
+function normalize(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .toLowerCase();
+}
+
+// Descriptions come from Buildout's rich text editor.
+function stripHtml(text) {
+  return String(text ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&[a-z0-9#]+;/gi, ' ');
+}
+
+function tokenize(text) {
+  return normalize(text)
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !STOPWORDS.has(t));
+}
+
+// Typo budget for a word of this length: none for short words (too many
+// false positives), one edit from 4 letters, two from 8.
+function maxEdits(length) {
+  if (length >= 8) return 2;
+  if (length >= MIN_FUZZY_LENGTH) return 1;
+  return 0;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transposition),
+// giving up early once it is certain to exceed `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// The searchable text of a listing, by field.
+function listingFields(listing) {
+  return {
+    address: listing.address,
+    city: listing.city,
+    state: listing.state,
+    zip: listing.zip,
+    title: [listing.lease_listing_web_title, listing.sale_listing_web_title].filter(Boolean).join(' '),
+    description: stripHtml([listing.lease_description, listing.sale_description].filter(Boolean).join(' ')),
+    brokers: (listing.brokers || []).map((b) => b.name).join(' '),
+    subtype: PROPERTY_SUBTYPES[listing.property_subtype_id],
+    type: PROPERTY_TYPES[listing.property_type_id],
+    zoning: listing.zoning
+  };
+}
+
+// Build an index over `listings` (anything with an `id`).  Returns an object
+// with a single `search(query)` method.
+function buildSearchIndex(listings) {
+  const docIds = [];
+  // term -> Map(docIndex -> { weight, fields: Set })
+  const postings = new Map();
+
+  (listings || []).forEach((listing, doc) => {
+    docIds.push(String(listing.id));
+    const fields = listingFields(listing);
+    for (const [field, text] of Object.entries(fields)) {
+      for (const term of new Set(tokenize(text))) {
+        let byDoc = postings.get(term);
+        if (!byDoc) {
+          byDoc = new Map();
+          postings.set(term, byDoc);
+        }
+        const entry = byDoc.get(doc);
+        if (entry) {
+          entry.fields.add(field);
+          entry.weight = Math.max(entry.weight, FIELD_WEIGHTS[field]);
+        } else {
+          byDoc.set(doc, { weight: FIELD_WEIGHTS[field], fields: new Set([field]) });
+        }
+      }
+    }
+  });
+
+  // Sorted vocabulary for prefix range lookups.
+  const vocabulary = [...postings.keys()].sort();
+  const docCount = docIds.length;
+
+  function idf(term) {
+    return Math.log(1 + docCount / postings.get(term).size);
+  }
+
+  // First vocabulary index whose term is >= `prefix`.
+  function lowerBound(prefix) {
+    let lo = 0;
+    let hi = vocabulary.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (vocabulary[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // Indexed terms a query token can stand for, with how good each match is.
+  function expand(token) {
+    const found = new Map();
+    const add = (term, quality) => {
+      if ((found.get(term) || 0) < quality) found.set(term, quality);
+    };
+
+    if (postings.has(token)) add(token, MATCH_QUALITY.exact);
+
+    if (token.length >= MIN_PREFIX_LENGTH) {
+      for (let i = lowerBound(token); i < vocabulary.length && vocabulary[i].startsWith(token); i++) {
+        add(vocabulary[i], MATCH_QUALITY.prefix);
+      }
+    }
+
+    // Street numbers and ZIPs are either right or wrong; never fuzz digits.
+    const budget = /^\d+$/.test(token) ? 0 : maxEdits(token.length);
+    if (budget > 0) {
+      for (const term of vocabulary) {
+        if (found.has(term)) continue;
+        if (editDistance(token, term, budget) <= budget) {
+          add(term, MATCH_QUALITY.fuzzy);
+        } else if (
+          term.length > token.length &&
+          editDistance(token, term.slice(0, token.length), budget) <= budget
+        ) {
+          // A typo in a word that is still being typed.
+          add(term, MATCH_QUALITY.fuzzyPrefix);
+        }
+      }
+    }
+    return found;
+  }
+
+  // Returns null when the query has no searchable words (so callers can skip
+  // filtering), otherwise a Map of listing id -> { score, fields } where
+  // `fields` maps each matched field to the indexed words that matched in it
+  // (useful for highlighting).  Every listing in the map matched every word.
+  function search(query) {
+    const tokens = [...new Set(tokenize(query))];
+    if (!tokens.length) return null;
+
+    let results = null; // docIndex -> { score, fields: Map(field -> Set(term)) }
+    for (const token of tokens) {
+      const tokenHits = new Map(); // docIndex -> { score, hits: [[field, term]] }
+      for (const [term, quality] of expand(token)) {
+        const termIdf = idf(term);
+        for (const [doc, entry] of postings.get(term)) {
+          if (results && !results.has(doc)) continue;
+          const score = quality * entry.weight * termIdf;
+          let hit = tokenHits.get(doc);
+          if (!hit) {
+            hit = { score: 0, hits: [] };
+            tokenHits.set(doc, hit);
+          }
+          hit.score = Math.max(hit.score, score);
+          for (const field of entry.fields) hit.hits.push([field, term]);
+        }
+      }
+
+      const next = new Map();
+      for (const [doc, hit] of tokenHits) {
+        const prev = results ? results.get(doc) : { score: 0, fields: new Map() };
+        for (const [field, term] of hit.hits) {
+          if (!prev.fields.has(field)) prev.fields.set(field, new Set());
+          prev.fields.get(field).add(term);
+        }
+        next.set(doc, { score: prev.score + hit.score, fields: prev.fields });
+      }
+      results = next;
+      if (!results.size) break;
+    }
+
+    const out = new Map();
+    for (const [doc, { score, fields }] of results) {
+      out.set(docIds[doc], {
+        score: Math.round(score * 1000) / 1000,
+        fields: Object.fromEntries([...fields].map(([f, terms]) => [f, [...terms]]))
+      });
+    }
+    return out;
+  }
+
+  return { search, size: docCount };
+}
+
+// ---- Typeahead suggestions
+// Distinct cities, ZIPs, addresses, brokers and subtypes across `listings`,
+// each paired with the structured filter that selects it.  Matching is on the
+// start of the label or of any word in it ("main" finds "100 Main St");
+// addresses match on the street address only.
+
+const SUGGEST_GROUPS = ['cities', 'zips', 'addresses', 'brokers', 'subtypes'];
+
+function buildSuggestIndex(listings) {
+  const groups = Object.fromEntries(SUGGEST_GROUPS.map((g) => [g, new Map()]));
+
+  // Count entries by key; the first label/filter seen for a key wins.
+  // `matchText` is what the query is compared against (defaults to label).
+  const add = (group, key, label, filter, matchText = label) => {
+    const entry = groups[group].get(key);
+    if (entry) {
+      entry.count += 1;
+    } else {
+      groups[group].set(key, { label, filter, count: 1, key: normalize(matchText) });
+    }
+  };
+
+  for (const l of listings || []) {
+    if (l.city) {
+      const label = l.state ? `${l.city}, ${l.state}` : l.city;
+      add('cities', normalize(label), label, { city: l.city });
+    }
+    const zip = String(l.zip || '').slice(0, 5);
+    if (zip) add('zips', zip, zip, { zip });
+    if (l.address) {
+      const label = [l.address, l.city].filter(Boolean).join(', ');
+      add('addresses', String(l.id), label, { listing: String(l.id) }, l.address);
+    }
+    for (const b of l.brokers || []) {
+      if (b.name) add('brokers', String(b.id), b.name, { broker: String(b.id) });
+    }
+    const subtype = PROPERTY_SUBTYPES[l.property_subtype_id];
+    if (subtype) {
+      add('subtypes', String(l.property_subtype_id), subtype, { subtype: String(l.property_subtype_id) });
+    }
+  }
+
+  const sorted = Object.fromEntries(
+    SUGGEST_GROUPS.map((g) => [g, [...groups[g].values()]])
+  );
+
+  // Returns { group: [{ label, filter, count }] } with at most `limit` per
+  // group; label-start matches first, then the most common entries.
+  function suggest(query, limit = 5) {
+    const q = normalize(query).trim().replace(/\s+/g, ' ');
+    const out = {};
+    for (const g of SUGGEST_GROUPS) {
+      if (!q) {
+        out[g] = [];
+        continue;
+      }
+      out[g] = sorted[g]
+        .map((e) => {
+          if (e.key.startsWith(q)) return { e, rank: 0 };
+          const at = e.key.indexOf(q);
+          if (at > 0 && /[^a-z0-9]/.test(e.key[at - 1])) return { e, rank: 1 };
+          return null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.rank - b.rank || b.e.count - a.e.count || a.e.label.localeCompare(b.e.label))
+        .slice(0, limit)
+        .map(({ e }) => ({ label: e.label, filter: e.filter, count: e.count }));
+    }
+    return out;
+  }
+
+  return { suggest };
+}
+
+module.exports = { buildSearchIndex, buildSuggestIndex, tokenize };
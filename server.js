@@ -1,43 +1,187 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
-const NodeCache = require('node-cache');    // <-- Add this!
-const cache = new NodeCache({ stdTTL: 86400 }); // <-- And this!
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { buildSearchIndex, buildSuggestIndex } = require('./search-index');
+const { diffListings } = require('./listing-changes');
+const { listingCoords, distanceMiles, parseLatLng, parsePolygon, pointInPolygons } = require('./geo');
+const { describePricing, normalizeLeaseRate, parseLeaseType } = require('./pricing');
+const { toCsv, toXlsx } = require('./listing-export');
+const { PROPERTY_TYPES, PROPERTY_SUBTYPES } = require('./property-types');
+const { buildReportHtml, REPORT_GROUPS } = require('./listing-report');
+const { buildStats, STAT_INTERVALS } = require('./listing-stats');
+const { loadConfig, buildoutUrl, DEFAULT_TENANT } = require('./config');
+const { createBuildoutFetcher } = require('./buildout-fetch');
+const { createRegistry } = require('./metrics');
 
-// Directory and file for persisting listing data between restarts.  The server
-// will read from this file on boot and write fresh data any time the cache is
-// refreshed.  Using a simple JSON file avoids the need for an external
+// Settings (Buildout key, cache dir, refresh interval, ...) from the
+// environment and optional config file; see config.js.  Bad settings stop
+// the server here rather than on the first request.
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// Directory for persisting listing data between restarts.  The server will
+// read from these files on boot and write fresh data any time the cache is
+// refreshed.  Using simple JSON files avoids the need for an external
 // database and keeps your deployment portable.  If you prefer to use a real
 // database (e.g. Postgres or Supabase) you can replace the file reads/writes
-// with appropriate DB queries.
-const DATA_DIR = path.join(__dirname, 'data');
-const LISTINGS_FILE = path.join(DATA_DIR, 'listings.json');
+// with appropriate DB queries.  The directory is configurable (CACHE_DIR).
+const DATA_DIR = config.cacheDir;
+const CHANGE_HISTORY_DAYS = 90;
 // This is a simple Express server that fetches and serves real estate listings from Buildout's API.
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+// The data routes, mounted per tenant at the bottom of this file.
+const api = express.Router();
+const startedAt = new Date();
+
+// ---- Metrics
+// Prometheus counters and histograms, served at /metrics along with gauges
+// read from the tenants' caches (see the bottom of this file).
+const metrics = createRegistry();
+const httpRequests = metrics.counter(
+  'proxy_http_requests_total',
+  'HTTP requests served, by method, route, tenant and status.'
+);
+const httpDuration = metrics.histogram(
+  'proxy_http_request_duration_seconds',
+  'HTTP request latency in seconds, by method, route and tenant.'
+);
+const buildoutRequests = metrics.counter(
+  'proxy_buildout_requests_total',
+  'Requests made to the Buildout API (each retry counts), by tenant, resource and status.'
+);
+const buildoutErrors = metrics.counter(
+  'proxy_buildout_request_errors_total',
+  'Failed Buildout API requests, by tenant, resource and reason (http, timeout, network, circuit_open).'
+);
+const buildoutDuration = metrics.histogram(
+  'proxy_buildout_request_duration_seconds',
+  'Buildout API request latency in seconds, by tenant and resource.'
+);
+const refreshCount = metrics.counter(
+  'proxy_refreshes_total',
+  'Cache refreshes (full Buildout crawls), by tenant and outcome.'
+);
+
+// Count and time every request once it has been answered.  Routes are
+// labelled by their pattern (/api/listings/:id), not the URL, so ids and
+// query strings don't each become a series of their own.
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? (req.tenant ? `/api${req.route.path}` : req.route.path) : 'unmatched';
+    const labels = { method: req.method, route, tenant: req.tenant ? req.tenant.id : '' };
+    httpRequests.inc({ ...labels, status: res.statusCode });
+    httpDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+});
+
+// ---- Tenants
+// Every Buildout account the proxy serves is a tenant (see config.js) with
+// its own caches, files and refresh timer, so one account's refresh never
+// touches another's data.  The default tenant keeps the original layout
+// (data/listings.json, ...); the others get a directory each
+// (data/<tenant>/listings.json, ...).
+function createTenant(settings) {
+  const dir = settings.id === DEFAULT_TENANT ? DATA_DIR : path.join(DATA_DIR, settings.id);
+  return {
+    id: settings.id,
+    branding: settings.branding,
+    // Buildout API info
+    apiKey: settings.apiKey,
+    pageLimit: settings.pageLimit, // 1000 (max) unless configured lower
+    refreshIntervalMs: settings.refreshIntervalHours * 60 * 60 * 1000,
+    // Retries, timeouts and this account's circuit breaker (buildout-fetch.js).
+    fetcher: createBuildoutFetcher({
+      log: (msg) => console.warn(`[${settings.id}] ${msg}`),
+      onRequest: ({ resource, status, reason, durationMs }) => {
+        const labels = { tenant: settings.id, resource };
+        buildoutRequests.inc({ ...labels, status: status ?? reason });
+        if (reason) buildoutErrors.inc({ ...labels, reason });
+        if (reason !== 'circuit_open') buildoutDuration.observe(labels, durationMs / 1000);
+      }
+    }),
+    urls: {
+      listings: buildoutUrl(settings, 'properties'),
+      brokers: buildoutUrl(settings, 'brokers'),
+      leaseSpaces: buildoutUrl(settings, 'lease_spaces')
+    },
+    files: {
+      listings: path.join(dir, 'listings.json'),
+      leaseSpaces: path.join(dir, 'lease_spaces.json'),
+      // Rolling history of what each refresh added, removed and changed.
+      changes: path.join(dir, 'changes.json')
+    },
 
-// In-memory cache
-let listingsCache = [];
-let listingsLastUpdated = null;
+    // In-memory cache.  `listingsCache` holds the enriched listing model
+    // built by buildListingsModel(); the raw Buildout payloads are kept
+    // alongside so the model can be rebuilt (and persisted) without
+    // refetching.
+    listingsCache: [],
+    listingsLastUpdated: null,
+    brokersCache: [],
+    leaseSpacesCache: [],
+    // Lookups rebuilt with the model: listing id -> enriched listing, and
+    // property id -> raw active lease spaces.
+    listingsById: new Map(),
+    activeSpacesByProperty: new Map(),
+    searchIndex: buildSearchIndex([]),
+    suggestIndex: buildSuggestIndex([]),
+    // Change events, oldest first: { at, added, removed, changed } per
+    // refresh that changed anything (see listing-changes.js).
+    changeHistory: [],
+
+    // The crawl in progress (a promise of its outcome), so concurrent
+    // refreshes share one crawl; and the last crawl's outcome (loadCache()).
+    refreshing: null,
+    lastRefresh: null,
+    // When the refresh timer fires next (set on boot).
+    nextRefreshAt: null,
+    // True while the last crawl failed: the caches still hold the last good
+    // data, and responses say so with `stale: true`.
+    stale: false
+  };
+}
 
-// Buildout API info
-const BUILDOUT_API_URL = 'https://buildout.com/api/v1/ad60e63d545c98569763dd4b3bf32816b6f1b755/properties.json';
-const PAGE_LIMIT = 1000; // Set to 1000 (max) or your known "enough" value
+const tenants = new Map(config.tenants.map((t) => [t.id, createTenant(t)]));
 
-app.use(cors());
+// URLs carry the API key; keep it out of the logs.
+const redactKey = (tenant, url) => url.split(tenant.apiKey).join('<api-key>');
 
-// Helper: Fetch ALL pages of listings
-async function fetchAllListings() {
+const SQFT_PER_ACRE = 43560;
+const LAND_PROPERTY_TYPE_ID = '5';
+
+// Browser origins allowed to call the proxy (ALLOWED_ORIGINS; * = any).
+app.use(cors({
+  origin: config.allowedOrigins.includes('*') ? '*' : config.allowedOrigins
+}));
+
+// Helper: Fetch ALL pages of a tenant's listings.  `run.pages` counts the
+// pages fetched (retried or failed requests don't count), for the refresh
+// report; `run.signal`, if set, cancels the crawl (see loadCache()).
+async function fetchAllListings(tenant, run = { pages: 0 }) {
+  const PAGE_LIMIT = tenant.pageLimit;
   let allListings = [];
   let offset = 0;
 
   while (true) {
-    const url = `${BUILDOUT_API_URL}?limit=${PAGE_LIMIT}&offset=${offset}`;
-    console.log(`Fetching: ${url}`);
-    const res = await axios.get(url);
+    const url = `${tenant.urls.listings}?limit=${PAGE_LIMIT}&offset=${offset}`;
+    console.log(`Fetching: ${redactKey(tenant, url)}`);
+    const res = await tenant.fetcher.get(url, {
+      label: redactKey(tenant, url),
+      resource: 'properties',
+      signal: run.signal
+    });
+    run.pages += 1;
     const { properties = [], count } = res.data;
     allListings = allListings.concat(properties);
     if (properties.length < PAGE_LIMIT) break; // Got last page
@@ -47,181 +191,1375 @@ async function fetchAllListings() {
   return allListings;
 }
 
-// On startup: Load listings
-async function loadCache() {
+async function fetchBrokers(tenant, run = { pages: 0 }) {
+  const resp = await tenant.fetcher.get(tenant.urls.brokers, {
+    label: redactKey(tenant, tenant.urls.brokers),
+    resource: 'brokers',
+    signal: run.signal
+  });
+  run.pages += 1;
+  return resp.data.brokers || [];
+}
+
+// Helper: Fetch ALL pages of lease spaces.  Same paging scheme as listings;
+// large orgs easily have more spaces than fit in one Buildout page.
+async function fetchAllLeaseSpaces(tenant, run = { pages: 0 }) {
+  const PAGE_LIMIT = tenant.pageLimit;
+  let allSpaces = [];
+  let offset = 0;
+
+  while (true) {
+    const url = `${tenant.urls.leaseSpaces}?limit=${PAGE_LIMIT}&offset=${offset}`;
+    console.log(`Fetching: ${redactKey(tenant, url)}`);
+    const res = await tenant.fetcher.get(url, {
+      label: redactKey(tenant, url),
+      resource: 'lease_spaces',
+      signal: run.signal
+    });
+    run.pages += 1;
+    const { lease_spaces = [] } = res.data;
+    allSpaces = allSpaces.concat(lease_spaces);
+    if (lease_spaces.length < PAGE_LIMIT) break; // Got last page
+    offset += PAGE_LIMIT;
+  }
+
+  return allSpaces;
+}
+
+// ---- Listing model helpers
+// Buildout is inconsistent about field names across orgs and API versions, so
+// these helpers try several candidates before giving up.
+
+// minimal guard that still tolerates commas or stray text ("52,044 SF")
+const toNum = (v) =>
+  typeof v === 'number' ? v : Number(String(v ?? '').replace(/[^\d.-]/g, '')) || 0;
+
+function getSpaceSize(space) {
+  const candidates = [
+    space?.size_sf,
+    space?.space_size,
+    space?.available_sqft,
+    space?.rentable_sqft,
+    space?.sqft,
+    space?.size
+  ];
+  for (const c of candidates) {
+    const n = toNum(c);
+    if (n > 0) return n;
+  }
+  return 0;
+}
+
+// Buildout DealStatus codes: 0=Inactive, 1=Active, 2=Under Contract, 3=Closed.
+// Only 1 / 'active' counts.  Records without any status are treated as active
+// so older data without the field is still shown.
+function isActiveDealStatus(item) {
+  if (!item) return false;
+  const raw = item.deal_status ?? item.deal_status_id ?? item.dealStatus ?? item.dealStatusId ?? null;
+  if (raw == null) return true;
+  const num = Number(raw);
+  if (!Number.isNaN(num)) return num === 1;
+  return String(raw).toLowerCase() === 'active';
+}
+
+// The property a lease space belongs to.
+function getSpacePropertyId(space) {
+  return space.property_id ?? space.property?.id ?? space.propertyId ?? space.listing_id ?? space.property_listing_id ?? null;
+}
+
+// The id lease spaces use to point at a listing (same fallbacks as above,
+// finishing with the listing's own id).
+function getListingPropertyId(listing) {
+  return listing.property_id ?? listing.property?.id ?? listing.propertyId ?? listing.listing_id ?? listing.property_listing_id ?? listing.id;
+}
+
+// Public broker fields exposed to clients.
+function toBrokerSummary(b) {
+  const first = b.first_name || '';
+  const last = b.last_name || '';
+  return {
+    id: b.id,
+    first_name: first,
+    last_name: last,
+    name: `${first} ${last}`.trim(),
+    email: b.email || null,
+    phone: b.phone ?? b.phone_number ?? b.cell_phone ?? b.work_phone ?? null,
+    title: b.job_title ?? b.title ?? null,
+    photo_url: b.photo_url ?? b.profile_photo_url ?? b.photo?.url ?? null
+  };
+}
+
+// Public lease space fields, enough for the per-suite table on the property
+// card.  Field names vary between Buildout accounts, hence the fallbacks.
+function toSpaceSummary(space) {
+  const sizeSF = getSpaceSize(space);
+  const rate = space.lease_rate ?? space.rate ?? null;
+  const rateUnits = space.lease_rate_units ?? space.rate_units ?? null;
+  return {
+    id: space.id,
+    name: space.suite ?? space.unit ?? space.name ?? null,
+    size_sf: sizeSF,
+    lease_rate: rate,
+    lease_rate_units: rateUnits,
+    // Normalized for comparison (see pricing.js)
+    rate_sf_yr: normalizeLeaseRate(rate, rateUnits, sizeSF),
+    lease_type: parseLeaseType(space.lease_type) || parseLeaseType(rateUnits),
+    space_type: space.space_type ?? space.space_use ?? space.use_type ?? null,
+    available_on: space.date_available ?? space.available_date ?? space.availability ?? null,
+    pdf_url: space.pdf_url ?? space.brochure_url ?? space.lease_pdf_url ?? null
+  };
+}
+
+// Normalized size info used for display and sorting.  Available SF (the sum of
+// active lease spaces) wins over building SF; land without available SF is
+// expressed in acres.
+function describeSize(totalAvailableSF, buildingSF, isLand) {
+  if (totalAvailableSF > 0) {
+    return { value: totalAvailableSF, unit: 'SF', display: `${totalAvailableSF.toLocaleString('en-US')} SF` };
+  }
+  if (buildingSF > 0) {
+    if (isLand) {
+      const acres = buildingSF / SQFT_PER_ACRE;
+      return { value: Number(acres.toFixed(2)), unit: 'AC', display: `${acres.toFixed(2)} AC` };
+    }
+    return { value: buildingSF, unit: 'SF', display: `${buildingSF.toLocaleString('en-US')} SF` };
+  }
+  return { value: 0, unit: null, display: '—' };
+}
+
+// Bucket active lease spaces by the (stringified) property id they belong to.
+function groupActiveSpaces(leaseSpaces) {
+  const spacesByProperty = new Map();
+  for (const s of leaseSpaces || []) {
+    if (!isActiveDealStatus(s)) continue;
+    const pid = getSpacePropertyId(s);
+    if (pid == null) continue;
+    const key = String(pid);
+    if (!spacesByProperty.has(key)) spacesByProperty.set(key, []);
+    spacesByProperty.get(key).push(s);
+  }
+  return spacesByProperty;
+}
+
+// Join brokers and active lease spaces into the listings, and label their
+// property type and subtype.  This is the single source of truth for broker
+// display, available SF and type labels, so every consumer of /api/listings
+// sees the same numbers and names.
+function buildListingsModel(listings, brokers, spacesByProperty) {
+  const brokerMap = new Map((brokers || []).map((b) => [String(b.id), b]));
+
+  return (listings || []).map((listing) => {
+    const brokerList = [listing.broker_id, listing.second_broker_id]
+      .filter((id) => id != null)
+      .map((id) => brokerMap.get(String(id)))
+      .filter(Boolean)
+      .map(toBrokerSummary);
+
+    const spaces = spacesByProperty.get(String(getListingPropertyId(listing))) || [];
+    const activeSpaces = spaces.map(toSpaceSummary);
+    const totalAvailableSF = activeSpaces.reduce((sum, s) => sum + s.size_sf, 0);
+    const buildingSF = toNum(listing.building_size_sf ?? listing.building_size);
+    const isLand = String(listing.property_type_id ?? '') === LAND_PROPERTY_TYPE_ID;
+
+    return {
+      ...listing,
+      isActive: isActiveDealStatus(listing),
+      propertyTypeLabel: PROPERTY_TYPES[listing.property_type_id] || null,
+      propertySubtypeLabel: PROPERTY_SUBTYPES[listing.property_subtype_id] || null,
+      brokers: brokerList,
+      activeSpaces,
+      totalAvailableSF,
+      buildingSF,
+      size: describeSize(totalAvailableSF, buildingSF, isLand),
+      pricing: describePricing(listing, activeSpaces, buildingSF)
+    };
+  });
+}
+
+// Stamp each listing with when it was first seen and last changed.
+// The proxy's own change history is the most accurate source (it knows the
+// refresh a listing appeared in); listings that predate the history fall
+// back to Buildout's record timestamps.
+//   firstSeenAt      - ISO time, or null when unknown
+//   lastChangedAt    - ISO time of the latest tracked change, or null
+//   lastChangedFields - fields touched by that change (see listing-changes.js)
+function annotateListingDates(listings, changeHistory) {
+  const added = new Map();
+  const changed = new Map();
+  for (const event of changeHistory) {
+    for (const a of event.added || []) added.set(String(a.id), event.at);
+    for (const c of event.changed || []) {
+      changed.set(String(c.id), { at: event.at, fields: c.changes.map((ch) => ch.field) });
+    }
+  }
+  for (const l of listings) {
+    const id = String(l.id);
+    const change = changed.get(id);
+    l.firstSeenAt = added.get(id) || l.created_at || l.listed_on || null;
+    l.lastChangedAt = change ? change.at : null;
+    l.lastChangedFields = change ? change.fields : [];
+  }
+}
+
+// Build a complete set of caches from raw Buildout payloads without touching
+// the live ones: a staging copy that setCaches() or loadCache() swaps in
+// with one Object.assign(), so requests never see half a refresh.
+function buildCaches({ listings, brokers, leaseSpaces, lastUpdated }, changeHistory) {
+  const brokersCache = brokers || [];
+  const leaseSpacesCache = leaseSpaces || [];
+  const activeSpacesByProperty = groupActiveSpaces(leaseSpacesCache);
+  const listingsCache = buildListingsModel(listings, brokersCache, activeSpacesByProperty);
+  annotateListingDates(listingsCache, changeHistory);
+  return {
+    brokersCache,
+    leaseSpacesCache,
+    activeSpacesByProperty,
+    listingsCache,
+    listingsById: new Map(listingsCache.map((l) => [String(l.id), l])),
+    searchIndex: buildSearchIndex(listingsCache),
+    suggestIndex: buildSuggestIndex(listingsCache.filter((l) => l.isActive)),
+    listingsLastUpdated: lastUpdated ? new Date(lastUpdated) : null
+  };
+}
+
+// Replace a tenant's in-memory caches from raw Buildout payloads.
+function setCaches(tenant, payload) {
+  Object.assign(tenant, buildCaches(payload, tenant.changeHistory));
+}
+
+// Write JSON to temporary files first then rename them, so a crash mid-write
+// never leaves a truncated cache file behind.  The files being replaced are
+// copied aside until every rename has gone through, so if one fails part way
+// the ones already renamed are put back and a failed write leaves every file
+// as it was.  `entries` is [[file, data], ...].
+function writeJsonFilesAtomic(entries) {
+  const written = entries.map(([file, data]) => {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpFile = file + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify(data), 'utf8');
+    return [tmpFile, file];
+  });
+  const backups = written.map(([, file]) => {
+    if (!fs.existsSync(file)) return null;
+    fs.copyFileSync(file, file + '.bak');
+    return file + '.bak';
+  });
+  let renamed = 0;
   try {
-    console.log('⏳ Fetching listings from Buildout API...');
-    const freshListings = await fetchAllListings();
-    listingsCache = freshListings;
-    listingsLastUpdated = new Date();
-    console.log(`✅ Listings cache loaded: ${listingsCache.length} listings.`);
-
-    // Persist data to disk so that it survives server restarts.  Write to
-    // a temporary file first then rename it to avoid corrupting the main file.
-    if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
-    const tmpFile = LISTINGS_FILE + '.tmp';
-    fs.writeFileSync(
-      tmpFile,
-      JSON.stringify({
-        lastUpdated: listingsLastUpdated.toISOString(),
-        listings: listingsCache
-      }),
-      'utf8'
+    for (const [tmpFile, file] of written) {
+      fs.renameSync(tmpFile, file);
+      renamed += 1;
+    }
+  } catch (err) {
+    written.slice(0, renamed).forEach(([, file], i) => {
+      if (backups[i]) fs.renameSync(backups[i], file);
+      else fs.rmSync(file, { force: true });
+    });
+    for (const [tmpFile] of written.slice(renamed)) fs.rmSync(tmpFile, { force: true });
+    throw err;
+  } finally {
+    for (const backup of backups) if (backup) fs.rmSync(backup, { force: true });
+  }
+}
+
+// Read a tenant's persisted snapshot written by loadCache(), or null when
+// missing.  Lease spaces live in their own file next to listings.json.
+function readSnapshot(tenant) {
+  const { files } = tenant;
+  if (!fs.existsSync(files.listings)) return null;
+  const json = JSON.parse(fs.readFileSync(files.listings, 'utf8'));
+  let leaseSpaces = [];
+  if (fs.existsSync(files.leaseSpaces)) {
+    leaseSpaces = JSON.parse(fs.readFileSync(files.leaseSpaces, 'utf8')).lease_spaces || [];
+  }
+  return {
+    listings: json.listings || [],
+    brokers: json.brokers || [],
+    leaseSpaces,
+    lastUpdated: json.lastUpdated || null
+  };
+}
+
+function readChangeHistory(tenant) {
+  if (!fs.existsSync(tenant.files.changes)) return [];
+  return JSON.parse(fs.readFileSync(tenant.files.changes, 'utf8')).events || [];
+}
+
+// Diff a refresh against the listings it replaced and work out the change
+// history that goes with it: `history` plus the new event, minus events
+// older than CHANGE_HISTORY_DAYS.  Nothing is stored here; loadCache()
+// commits the result along with the crawl.  With nothing to compare against
+// (very first load) every listing would look new, so that load only becomes
+// the baseline.  Returns { diff, events } with diff null for a baseline load.
+function nextChangeHistory(history, previous, next, at) {
+  const diff = previous.length ? diffListings(previous, next) : null;
+  const events = diff && (diff.added.length || diff.removed.length || diff.changed.length)
+    ? [...history, { at: at.toISOString(), ...diff }]
+    : history;
+  const cutoff = at.getTime() - CHANGE_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+  return { diff, events: events.filter((e) => new Date(e.at).getTime() >= cutoff) };
+}
+
+// Refresh a tenant's caches from Buildout.  Don't call this directly; go
+// through refreshTenant() so crawls never overlap.  Resolves to (and stores
+// as tenant.lastRefresh) what happened:
+//   { ok, started_at, duration_ms, pages, count, added, removed, changed,
+//     error? }
+// where pages is the number of Buildout pages fetched (listings, brokers and
+// lease spaces; retries and failed requests aren't counted, see /metrics for
+// those) and added/removed/changed are listing counts (on the first crawl
+// every listing counts as added).
+async function loadCache(tenant) {
+  const started = new Date();
+  const abort = new AbortController();
+  const run = { pages: 0, signal: abort.signal };
+  const finish = (outcome) => {
+    tenant.lastRefresh = {
+      ok: outcome.ok,
+      started_at: started.toISOString(),
+      duration_ms: Date.now() - started.getTime(),
+      pages: run.pages,
+      count: tenant.listingsCache.length,
+      added: 0,
+      removed: 0,
+      changed: 0,
+      ...outcome
+    };
+    refreshCount.inc({ tenant: tenant.id, outcome: outcome.ok ? 'success' : 'failure' });
+    return tenant.lastRefresh;
+  };
+
+  try {
+    console.log(`⏳ [${tenant.id}] Fetching listings, brokers and lease spaces from Buildout API...`);
+    // The first fetch to fail for good cancels the other two, and the crawl
+    // only settles once all three have stopped: otherwise their leftover
+    // retries would overlap the next refresh (refreshTenant() lets one
+    // start as soon as this one settles) and trip the breaker under it.
+    let firstError = null;
+    const stopOthersOnError = (promise) => promise.catch((err) => {
+      firstError = firstError || err;
+      abort.abort();
+      throw err;
+    });
+    const results = await Promise.allSettled([
+      stopOthersOnError(fetchAllListings(tenant, run)),
+      stopOthersOnError(fetchBrokers(tenant, run)),
+      stopOthersOnError(fetchAllLeaseSpaces(tenant, run))
+    ]);
+    if (firstError) throw firstError;
+    const [freshListings, freshBrokers, freshSpaces] = results.map((r) => r.value);
+    const lastUpdated = new Date();
+    const staged = buildCaches({
+      listings: freshListings,
+      brokers: freshBrokers,
+      leaseSpaces: freshSpaces,
+      lastUpdated
+    }, tenant.changeHistory);
+
+    const { diff, events } = nextChangeHistory(
+      tenant.changeHistory, tenant.listingsCache, staged.listingsCache, lastUpdated
     );
-    fs.renameSync(tmpFile, LISTINGS_FILE);
+    annotateListingDates(staged.listingsCache, events);
+
+    // Persist data to disk so that it survives server restarts.  The raw
+    // payloads are stored; the enriched model is rebuilt on load.  The
+    // snapshot and its change history are written together, and only then
+    // is anything swapped in, so a failure anywhere above leaves disk and
+    // memory both on the previous crawl.
+    writeJsonFilesAtomic([
+      [tenant.files.listings, {
+        lastUpdated: lastUpdated.toISOString(),
+        listings: freshListings,
+        brokers: freshBrokers
+      }],
+      [tenant.files.leaseSpaces, {
+        lastUpdated: lastUpdated.toISOString(),
+        lease_spaces: freshSpaces
+      }],
+      [tenant.files.changes, { events }]
+    ]);
+
+    // Everything fetched, built and saved: swap the new data in.
+    Object.assign(tenant, staged, { changeHistory: events, stale: false });
+    if (diff && (diff.added.length || diff.removed.length || diff.changed.length)) {
+      console.log(
+        `📝 [${tenant.id}] Changes: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed.`
+      );
+    }
+    console.log(
+      `✅ [${tenant.id}] Listings cache loaded: ${tenant.listingsCache.length} listings, ${tenant.brokersCache.length} brokers, ${tenant.leaseSpacesCache.length} lease spaces.`
+    );
+    return finish({
+      ok: true,
+      added: diff ? diff.added.length : tenant.listingsCache.length,
+      removed: diff ? diff.removed.length : 0,
+      changed: diff ? diff.changed.length : 0
+    });
   } catch (err) {
-    console.error('❌ Error loading listings:', err.message);
-    // If fetching fails and we have a persisted copy, fall back to that.
-    if (fs.existsSync(LISTINGS_FILE)) {
-      try {
-        const json = JSON.parse(fs.readFileSync(LISTINGS_FILE, 'utf8'));
-        listingsCache = json.listings || [];
-        listingsLastUpdated = json.lastUpdated
-          ? new Date(json.lastUpdated)
-          : null;
-        console.log(
-          `⚠️ Using cached file data with ${listingsCache.length} listings (last updated ${listingsLastUpdated}).`
-        );
-        return;
-      } catch (readErr) {
-        console.error(
-          '❌ Failed to read fallback cache file:',
-          readErr.message
-        );
-      }
+    // Nothing was swapped in: keep serving the last good data (from the
+    // previous crawl, or the snapshot restored on boot), flagged as stale.
+    tenant.stale = true;
+    console.error(
+      `❌ [${tenant.id}] Error loading listings; still serving ${tenant.listingsCache.length} listings (last updated ${tenant.listingsLastUpdated}):`,
+      err.message
+    );
+    return finish({ ok: false, error: err.message });
+  }
+}
+
+// Single-flight wrapper around loadCache(): while a tenant's crawl is
+// running, every caller (boot, the schedule, POST /refresh) gets that same
+// crawl's outcome instead of starting a second one racing it on the cache
+// files.
+function refreshTenant(tenant) {
+  if (!tenant.refreshing) {
+    tenant.refreshing = loadCache(tenant).finally(() => {
+      tenant.refreshing = null;
+    });
+  }
+  return tenant.refreshing;
+}
+
+// Pagination for /api/listings and /api/lease_spaces.  Pages are sliced out of
+// the in-memory cache, so they are cheap; the cap only keeps a single response
+// to a sane size.
+// When a client sends no limit at all the full (filtered) set is returned so
+// existing consumers keep working unchanged.
+const MAX_API_PAGE_LIMIT = 500;
+
+// Identifies the cache snapshot a cursor was issued against.  A refresh
+// replaces the snapshot, after which old cursors no longer point at the same
+// rows and are rejected instead of silently skipping/duplicating listings.
+function snapshotVersion(tenant) {
+  return tenant.listingsLastUpdated ? new Date(tenant.listingsLastUpdated).getTime() : 0;
+}
+
+// Parameters that don't change which rows make up the result set, so a
+// cursor stays valid when only these differ between pages.
+const CURSOR_FREE_PARAMS = ['limit', 'offset', 'cursor', 'fields'];
+
+// Identifies the result set a cursor was issued for: a hash of every other
+// query parameter, keys sorted and values split like parseList() reads them,
+// so `type=1,3` and `type=1&type=3` hash the same.
+function queryHash(query) {
+  const normalized = Object.keys(query)
+    .filter((k) => !CURSOR_FREE_PARAMS.includes(k))
+    .sort()
+    .map((k) => [k, parseList(query[k])]);
+  return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('base64url').slice(0, 16);
+}
+
+function encodeCursor(tenant, offset, query) {
+  return Buffer.from(
+    JSON.stringify({ o: offset, s: snapshotVersion(tenant), q: query })
+  ).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(parsed.o) || parsed.o < 0) return null;
+    return { offset: parsed.o, snapshot: parsed.s, query: parsed.q };
+  } catch (_) {
+    return null;
+  }
+}
+
+// Parse limit/offset/cursor from a query string.  Returns { limit, offset,
+// query } (limit is null when the caller wants everything; query is the
+// queryHash() next_cursor carries) or { status, error }.  Cursors are
+// checked against the query they were issued for and the tenant's current
+// snapshot.
+function parsePageParams(tenant, query) {
+  let offset = 0;
+  let limit = null;
+  const hash = queryHash(query);
+
+  if (query.cursor) {
+    const decoded = decodeCursor(String(query.cursor));
+    if (!decoded) return { status: 400, error: 'Invalid cursor' };
+    if (decoded.query !== hash) {
+      return {
+        status: 400,
+        error: 'Cursor does not match query',
+        message: 'This cursor was issued for different search, filter or sort parameters; send the same ones as the first page, or restart from offset 0.'
+      };
+    }
+    if (decoded.snapshot !== snapshotVersion(tenant)) {
+      return {
+        status: 409,
+        error: 'Cursor expired',
+        message: 'Listings were refreshed since this cursor was issued; restart from offset 0.'
+      };
+    }
+    offset = decoded.offset;
+  } else if (query.offset !== undefined) {
+    offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return { status: 400, error: 'offset must be a non-negative integer' };
+    }
+  }
+
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { status: 400, error: 'limit must be a positive integer' };
     }
-    // As a last resort, clear the cache to avoid serving stale/incomplete data.
-    listingsCache = [];
-    listingsLastUpdated = null;
+    limit = Math.min(limit, MAX_API_PAGE_LIMIT);
   }
+
+  return { limit, offset, query: hash };
 }
 
-// Listings endpoint (serves from cache only).  Supports optional
-// query parameters for server-side filtering:
-//   search - free text search across address, title and broker names
-//   type   - property type id to filter results
-app.get('/api/listings', (req, res) => {
-  // Optional query parameters:
-  //   search=<text> – free text search across address, city, state, zip, and title
-  //   type=<property_type_id> – numeric ID of the property type to filter by
-  const search = (req.query.search || '').toString().toLowerCase();
-  const typeFilter = (req.query.type || '').toString();
-
-  let filtered = listingsCache;
-
-  if (typeFilter) {
-    filtered = filtered.filter(
-      (l) => String(l.property_type_id) === typeFilter
+// Slice one page out of `items` and describe where the next page starts.
+// `count` and `total` both describe the whole set (not just this page) so they
+// stay the same on every page of a crawl.
+function paginate(tenant, items, page) {
+  const total = items.length;
+  const { offset } = page;
+  const limit = page.limit ?? Math.max(total - offset, 0);
+  const pageItems = items.slice(offset, offset + limit);
+  const nextOffset = offset + pageItems.length;
+  const hasMore = nextOffset < total;
+  return {
+    items: pageItems,
+    meta: {
+      count: total,
+      total,
+      offset,
+      limit,
+      has_more: hasMore,
+      next_offset: hasMore ? nextOffset : null,
+      next_cursor: hasMore ? encodeCursor(tenant, nextOffset, page.query) : null
+    }
+  };
+}
+
+// ---- Listing query filters
+// Comma separated and repeated parameters are both accepted:
+// `type=1,3` and `type=1&type=3` mean the same thing.
+function parseList(value) {
+  if (value == null) return [];
+  const parts = Array.isArray(value) ? value : [value];
+  return parts
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// Parse an optional non-negative number.  Returns undefined when absent and
+// NaN when present but malformed so callers can reject it.
+function parseOptionalNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+// Same exact-match semantics as the listing type dropdown in script.js:
+// 'lease' means lease-only, 'sale' sale-only, 'both' sale & lease.
+function matchesListingType(listing, lt) {
+  const lease = !!listing.lease;
+  const sale = !!listing.sale;
+  if (lt === 'lease') return lease && !sale;
+  if (lt === 'sale') return sale && !lease;
+  if (lt === 'both') return lease && sale;
+  return true;
+}
+
+// The SF a size filter compares against.  'available' and 'building' pick one
+// figure; the default mirrors the table (available SF, else building SF).
+function sizeForFilter(listing, basis) {
+  if (basis === 'available') return listing.totalAvailableSF;
+  if (basis === 'building') return listing.buildingSF;
+  return listing.totalAvailableSF > 0 ? listing.totalAvailableSF : listing.buildingSF;
+}
+
+// Apply the /api/listings filter parameters to a tenant's `listings`.
+// Returns { listings } or { status, error } for malformed input.
+function filterListings(tenant, listings, query) {
+  const search = (query.search || '').toString();
+  const ids = query.id !== undefined ? parseList(query.id) : null;
+  const types = parseList(query.type);
+  const subtypes = parseList(query.subtype);
+  const cities = parseList(query.city).map((v) => v.toLowerCase());
+  const states = parseList(query.state).map((v) => v.toLowerCase());
+  const zips = parseList(query.zip);
+  const brokerIds = parseList(query.broker_id);
+  const lt = (query.lt || '').toString().toLowerCase();
+  const sfBasis = (query.sf_basis || '').toString().toLowerCase();
+  const minSf = parseOptionalNumber(query.min_sf);
+  const maxSf = parseOptionalNumber(query.max_sf);
+  const minPrice = parseOptionalNumber(query.min_price);
+  const maxPrice = parseOptionalNumber(query.max_price);
+  const minRate = parseOptionalNumber(query.min_rate);
+  const maxRate = parseOptionalNumber(query.max_rate);
+  const near = query.near ? parseLatLng(query.near) : undefined;
+  const radiusMi = parseOptionalNumber(query.radius_mi);
+  const within = query.within ? parsePolygon(query.within) : undefined;
+
+  if (Number.isNaN(minSf) || Number.isNaN(maxSf)) {
+    return { status: 400, error: 'min_sf and max_sf must be non-negative numbers' };
+  }
+  if ([minPrice, maxPrice, minRate, maxRate].some(Number.isNaN)) {
+    return { status: 400, error: 'min_price, max_price, min_rate and max_rate must be non-negative numbers' };
+  }
+  if (near === null) {
+    return { status: 400, error: 'near must be lat,lng in decimal degrees' };
+  }
+  if (Number.isNaN(radiusMi)) {
+    return { status: 400, error: 'radius_mi must be a non-negative number' };
+  }
+  if (radiusMi !== undefined && !near) {
+    return { status: 400, error: 'radius_mi requires near=lat,lng' };
+  }
+  if (within === null) {
+    return { status: 400, error: 'within must be a GeoJSON Polygon or MultiPolygon' };
+  }
+  if (lt && !['lease', 'sale', 'both'].includes(lt)) {
+    return { status: 400, error: 'lt must be one of lease, sale, both' };
+  }
+  if (sfBasis && !['available', 'building'].includes(sfBasis)) {
+    return { status: 400, error: 'sf_basis must be available or building' };
+  }
+
+  // Inactive listings (under contract, closed, ...) are hidden unless asked for.
+  const includeInactive = ['1', 'true'].includes(String(query.include_inactive || ''));
+  let filtered = includeInactive ? listings : listings.filter((l) => l.isActive);
+
+  if (ids) {
+    filtered = filtered.filter((l) => ids.includes(String(l.id)));
+  }
+  if (types.length) {
+    filtered = filtered.filter((l) => types.includes(String(l.property_type_id)));
+  }
+  if (subtypes.length) {
+    filtered = filtered.filter((l) => subtypes.includes(String(l.property_subtype_id)));
+  }
+  if (cities.length) {
+    filtered = filtered.filter((l) => cities.includes(String(l.city || '').toLowerCase()));
+  }
+  if (states.length) {
+    filtered = filtered.filter((l) => states.includes(String(l.state || '').toLowerCase()));
+  }
+  if (zips.length) {
+    // Compare the 5-digit prefix so ZIP+4 values still match.
+    filtered = filtered.filter((l) => zips.includes(String(l.zip || '').slice(0, 5)));
+  }
+  if (brokerIds.length) {
+    filtered = filtered.filter((l) =>
+      (l.brokers || []).some((b) => brokerIds.includes(String(b.id)))
     );
   }
+  if (lt) {
+    filtered = filtered.filter((l) => matchesListingType(l, lt));
+  }
+  if (minSf !== undefined || maxSf !== undefined) {
+    filtered = filtered.filter((l) => {
+      const sf = sizeForFilter(l, sfBasis);
+      if (minSf !== undefined && sf < minSf) return false;
+      if (maxSf !== undefined && sf > maxSf) return false;
+      return true;
+    });
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filtered = filtered.filter((l) => {
+      const price = l.pricing?.sale_price;
+      if (price == null) return false; // unpriced / call for pricing
+      if (minPrice !== undefined && price < minPrice) return false;
+      if (maxPrice !== undefined && price > maxPrice) return false;
+      return true;
+    });
+  }
+  if (minRate !== undefined || maxRate !== undefined) {
+    // Any quoted rate in range will do: a building with $12 and $18 suites
+    // matches a $15-$20 search.
+    filtered = filtered.filter((l) => {
+      const lo = l.pricing?.lease_rate_min;
+      const hi = l.pricing?.lease_rate_max;
+      if (lo == null) return false;
+      if (minRate !== undefined && hi < minRate) return false;
+      if (maxRate !== undefined && lo > maxRate) return false;
+      return true;
+    });
+  }
   if (search) {
+    // Ranked, typo tolerant match (see search-index.js).  Matching listings
+    // are copied with a `match` of { score, fields } so callers can order by
+    // relevance and highlight the words that matched.
+    const hits = tenant.searchIndex.search(search);
+    if (hits) {
+      filtered = filtered
+        .filter((l) => hits.has(String(l.id)))
+        .map((l) => ({ ...l, match: hits.get(String(l.id)) }));
+    }
+  }
+  // Geo filters drop listings without coordinates.
+  if (within) {
     filtered = filtered.filter((l) => {
-      const address = `${l.address || ''} ${l.city || ''} ${l.state || ''} ${
-        l.zip || ''
-      }`.toLowerCase();
-      const title =
-        (l.lease_listing_web_title ||
-          l.sale_listing_web_title ||
-          '')?.toLowerCase() || '';
-      const brokers = `${l.brokerDisplay || ''}`.toLowerCase();
-      return (
-        address.includes(search) ||
-        title.includes(search) ||
-        brokers.includes(search)
-      );
+      const at = listingCoords(l);
+      return at && pointInPolygons(at, within);
     });
   }
+  if (near) {
+    // Listings are copied with `distance_mi` from `near` (null when the
+    // listing has no coordinates) for display and sort=distance.
+    filtered = filtered.flatMap((l) => {
+      const at = listingCoords(l);
+      const miles = at ? distanceMiles(near, at) : null;
+      if (radiusMi !== undefined && (miles === null || miles > radiusMi)) return [];
+      return [{ ...l, distance_mi: miles === null ? null : Math.round(miles * 100) / 100 }];
+    });
+  }
+
+  return { listings: filtered };
+}
+
+// ---- Listing sort
+// Mirrors the column sorts in filterAndSort() (script.js) so a client that
+// asks the proxy for `sort=size&dir=desc` gets the same order as the table.
+// Ties keep the cache order (Array#sort is stable), which is also the order
+// the browser starts from.
+function listingTypeLabel(l) {
+  return (l.lease && l.sale) ? 'for sale & lease' : l.lease ? 'for lease' : 'for sale';
+}
+
+const LISTING_SORT_KEYS = {
+  // ISO timestamps sort chronologically as strings; undated listings first.
+  added: (l) => l.firstSeenAt || '',
+  location: (l) => `${l.address || ''} ${l.city || ''} ${l.state || ''} ${l.zip || ''}`.toLowerCase(),
+  city: (l) => (l.city || '').toLowerCase(),
+  brokers: (l) => (l.brokers || []).map((b) => b.name).join(' ').toLowerCase(),
+  type: listingTypeLabel
+};
+
+// Size sorts on the number the table displays (SF, or acres for land), so
+// 131.70 AC sorts next to 131 SF.  When numbers tie, SF comes before AC on a
+// descending sort and after it on an ascending one.
+function compareSize(a, b, dir) {
+  const an = a.size ? a.size.value : 0;
+  const bn = b.size ? b.size.value : 0;
+  if (an < bn) return -1 * dir;
+  if (an > bn) return 1 * dir;
+  const aAC = a.size?.unit === 'AC';
+  const bAC = b.size?.unit === 'AC';
+  if (aAC !== bAC) {
+    return dir === -1 ? (aAC ? 1 : -1) : (aAC ? -1 : 1);
+  }
+  return 0;
+}
+
+// Price sorts sale prices and lease rates as two runs (sale first), since
+// dollars and $/SF/yr don't compare; unpriced listings go last either way.
+function comparePrice(a, b, dir) {
+  const key = (l) => {
+    if (l.pricing?.sale_price != null) return [0, l.pricing.sale_price];
+    if (l.pricing?.lease_rate_min != null) return [1, l.pricing.lease_rate_min];
+    return [2, 0];
+  };
+  const [ag, av] = key(a);
+  const [bg, bv] = key(b);
+  if (ag !== bg) return ag - bg;
+  return (av - bv) * dir;
+}
+
+const LISTING_SORT_FIELDS = ['location', 'city', 'size', 'price', 'brokers', 'type', 'added', 'relevance', 'distance'];
+
+// Returns { listings } or { status, error } for an unknown field/direction.
+// Searches default to relevance order (best match first, whatever `dir`);
+// relevance without a search leaves the order alone.
+function sortListings(listings, query) {
+  const field = (query.sort || (query.search ? 'relevance' : '')).toString().toLowerCase();
+  if (!field) return { listings };
+  if (!LISTING_SORT_FIELDS.includes(field)) {
+    return { status: 400, error: `sort must be one of ${LISTING_SORT_FIELDS.join(', ')}` };
+  }
+  const dirParam = (query.dir || 'asc').toString().toLowerCase();
+  if (!['asc', 'desc'].includes(dirParam)) {
+    return { status: 400, error: 'dir must be asc or desc' };
+  }
+  const dir = dirParam === 'desc' ? -1 : 1;
+
+  if (field === 'relevance') {
+    return {
+      listings: [...listings].sort((a, b) => (b.match?.score || 0) - (a.match?.score || 0))
+    };
+  }
+  if (field === 'size') {
+    return { listings: [...listings].sort((a, b) => compareSize(a, b, dir)) };
+  }
+  if (field === 'price') {
+    return { listings: [...listings].sort((a, b) => comparePrice(a, b, dir)) };
+  }
+  if (field === 'distance') {
+    if (!query.near) {
+      return { status: 400, error: 'sort=distance requires near=lat,lng' };
+    }
+    // Listings without coordinates go last in either direction.
+    return {
+      listings: [...listings].sort((a, b) => {
+        if (a.distance_mi === null || b.distance_mi === null) {
+          return (a.distance_mi === null) - (b.distance_mi === null);
+        }
+        return (a.distance_mi - b.distance_mi) * dir;
+      })
+    };
+  }
+  const key = LISTING_SORT_KEYS[field];
+  return {
+    listings: [...listings].sort((a, b) => {
+      const v1 = key(a);
+      const v2 = key(b);
+      if (v1 < v2) return -1 * dir;
+      if (v1 > v2) return 1 * dir;
+      return 0;
+    })
+  };
+}
+
+// `fields=id,match` trims each returned listing to the named top-level
+// fields, for callers (like the search box) that only need a few.
+function projectFields(items, fieldsParam) {
+  const fields = parseList(fieldsParam);
+  if (!fields.length) return items;
+  return items.map((item) =>
+    Object.fromEntries(fields.filter((f) => f in item).map((f) => [f, item[f]]))
+  );
+}
+
+// Listings endpoint (serves from cache only).  Supports optional
+// query parameters for server-side filtering (list parameters take comma
+// separated or repeated values):
+//   search     - ranked, typo tolerant search over address, city, state, zip,
+//                titles, descriptions, broker names, subtype, type and zoning;
+//                each hit carries match: { score, fields: { field: [words] } }
+//   id         - listing id(s), e.g. a shortlist; an empty id= matches none
+//   type       - property type id(s)
+//   subtype    - property subtype id(s) (property_subtype_id)
+//   city, state, zip - location match(es), case-insensitive; zip on 5 digits
+//   broker_id  - listings where any of the given brokers is on the deal
+//   lt         - lease | sale | both (exact match, like the UI dropdown)
+//   min_sf, max_sf - size range; compared against available SF, else building
+//                SF, unless sf_basis=available|building picks one
+//   min_price, max_price - asking sale price range (unpriced listings drop out)
+//   min_rate, max_rate - lease rate range in $/SF/yr; matches when any quoted
+//                rate (listing or space) falls in it
+//   include_inactive=1 - also return listings whose deal status is not active
+//   near       - lat,lng; adds distance_mi (miles, null without coordinates)
+//   radius_mi  - with near: only listings within this many miles
+//   within     - GeoJSON Polygon or MultiPolygon (or a Feature of one), as
+//                JSON; only listings inside it
+// ordering (applied before paging, so pages of a sorted crawl line up):
+//   sort   - location | city | size | price | brokers | type | added (same as
+//            the table columns; added = firstSeenAt; price = sale prices,
+//            then lease rates, then unpriced), relevance (the default when
+//            searching) or distance (needs near; no coordinates last)
+//   dir    - asc (default) | desc
+// and for trimming the payload:
+//   fields - top-level fields to return per listing, e.g. fields=id,match
+// and for paging through the result:
+//   limit  - page size (max MAX_API_PAGE_LIMIT; omit for the full set)
+//   offset - zero-based index of the first row to return
+//   cursor - opaque token from a previous page's next_cursor (wins over offset)
+//            send it with the same other parameters as the page it came from
+// Like every cached response it carries last_updated, and stale: true when
+// the latest refresh failed and this is the last good data.
+api.get('/listings', (req, res) => {
+  const result = queryListings(req.tenant, req.query);
+  if (result.error) {
+    return res.status(result.status).json(result.error);
+  }
+  res.json({
+    properties: projectFields(result.items, req.query.fields),
+    last_updated: req.tenant.listingsLastUpdated,
+    stale: req.tenant.stale,
+    ...result.meta
+  });
+});
+
+// Filter, sort and page a tenant's cache for /api/listings-style query
+// parameters.  Returns { items, meta } or { status, error } where `error` is
+// the JSON body.
+function queryListings(tenant, query) {
+  const page = parsePageParams(tenant, query);
+  if (page.error) {
+    return { status: page.status, error: { error: page.error, message: page.message } };
+  }
+  const result = filterListings(tenant, tenant.listingsCache, query);
+  if (result.error) {
+    return { status: result.status, error: { error: result.error } };
+  }
+  const sorted = sortListings(result.listings, query);
+  if (sorted.error) {
+    return { status: sorted.status, error: { error: sorted.error } };
+  }
+  return paginate(tenant, sorted.listings, page);
+}
+
+// The same listings as a CSV download (columns in listing-export.js).  Takes
+// every /api/listings parameter except `fields`; errors are still JSON.
+api.get('/listings.csv', (req, res) => {
+  const result = queryListings(req.tenant, req.query);
+  if (result.error) {
+    return res.status(result.status).json(result.error);
+  }
+  const stamp = (req.tenant.listingsLastUpdated || new Date()).toISOString().slice(0, 10);
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="listings-${stamp}.csv"`);
+  // BOM so Excel reads the file as UTF-8
+  res.send('\ufeff' + toCsv(result.items));
+});
+
+// And as an Excel workbook, same columns and parameters.
+api.get('/listings.xlsx', async (req, res) => {
+  const result = queryListings(req.tenant, req.query);
+  if (result.error) {
+    return res.status(result.status).json(result.error);
+  }
+  const stamp = (req.tenant.listingsLastUpdated || new Date()).toISOString().slice(0, 10);
+  try {
+    const workbook = await toXlsx(result.items);
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="listings-${stamp}.xlsx"`);
+    res.send(workbook);
+  } catch (e) {
+    console.error(`❌ [${req.tenant.id}] Error building listings.xlsx:`, e.message);
+    res.status(500).json({ error: 'Failed to build the workbook' });
+  }
+});
+
+// Printable availability report for the same listings (see
+// listing-report.js): open it in a browser and print or save as PDF.  Takes
+// every /api/listings parameter except `fields`, plus
+//   group_by - type (default) | city; each group starts on a new page
+//   title    - cover page title (default "Availability Report")
+api.get('/report', (req, res) => {
+  const groupBy = (req.query.group_by || 'type').toString().toLowerCase();
+  if (!REPORT_GROUPS.includes(groupBy)) {
+    return res.status(400).json({ error: `group_by must be one of ${REPORT_GROUPS.join(', ')}` });
+  }
+  const result = queryListings(req.tenant, req.query);
+  if (result.error) {
+    return res.status(result.status).json(result.error);
+  }
+  res.type('html').send(buildReportHtml(result.items, {
+    groupBy,
+    asOf: req.tenant.listingsLastUpdated,
+    brand: req.tenant.branding.name,
+    title: req.query.title ? String(req.query.title) : undefined
+  }));
+});
+
+// Single listing (serves from cache only).  Unlike the list endpoint this
+// includes the full active lease space records, and it also answers for
+// inactive listings so old deep links still resolve.
+api.get('/listings/:id', (req, res) => {
+  const { listingsById, activeSpacesByProperty, listingsLastUpdated } = req.tenant;
+  const listing = listingsById.get(String(req.params.id));
+  if (!listing) {
+    return res.status(404).json({ error: 'Listing not found', id: req.params.id });
+  }
+  res.json({
+    property: {
+      ...listing,
+      lease_spaces: activeSpacesByProperty.get(String(getListingPropertyId(listing))) || []
+    },
+    last_updated: listingsLastUpdated,
+    stale: req.tenant.stale
+  });
+});
+
+// Typeahead for the search bar.  Returns up to `limit` (default 5, max 20)
+// suggestions per group – cities, zips, addresses, brokers, subtypes – each
+// with the structured filter it stands for, e.g.
+//   { label: 'Denver, CO', filter: { city: 'Denver' }, count: 12 }
+// Counts are active listings.
+const MAX_SUGGEST_LIMIT = 20;
+
+api.get('/suggest', (req, res) => {
+  const q = (req.query.q || '').toString();
+  let limit = 5;
+  if (req.query.limit !== undefined) {
+    limit = Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+    limit = Math.min(limit, MAX_SUGGEST_LIMIT);
+  }
+  res.json({ q, groups: req.tenant.suggestIndex.suggest(q, limit) });
+});
+
+// Change feed.  Flattens the refresh history into one entry per listing
+// event, newest first:
+//   { type: 'added'|'removed'|'changed', at, id, address, city, state,
+//     changes?: [{ field, from, to }] }
+// Query parameters:
+//   since - ISO date/time or epoch ms; defaults to 7 days ago
+//   type  - added | removed | changed (comma separated or repeated)
+api.get('/changes', (req, res) => {
+  let since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  if (req.query.since !== undefined) {
+    const raw = String(req.query.since);
+    since = new Date(/^\d+$/.test(raw) ? Number(raw) : raw);
+    if (Number.isNaN(since.getTime())) {
+      return res.status(400).json({ error: 'since must be an ISO date or epoch milliseconds' });
+    }
+  }
+  const types = parseList(req.query.type);
+
+  const changes = [];
+  for (const event of req.tenant.changeHistory) {
+    if (new Date(event.at) <= since) continue;
+    for (const type of ['added', 'removed', 'changed']) {
+      if (types.length && !types.includes(type)) continue;
+      for (const entry of event[type] || []) {
+        changes.push({ type, at: event.at, ...entry });
+      }
+    }
+  }
+  changes.sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+
+  const counts = { added: 0, removed: 0, changed: 0 };
+  for (const c of changes) counts[c.type] += 1;
+
   res.json({
-    properties: filtered,
+    since: since.toISOString(),
+    last_updated: req.tenant.listingsLastUpdated,
+    stale: req.tenant.stale,
+    counts,
+    changes
+  });
+});
+
+// Portfolio stats (see listing-stats.js).  Counts cover active listings and
+// accept the /api/listings filter parameters (type, city, lt, ...) to narrow
+// them; `changes` is the whole refresh history, bucketed by
+//   interval - day | week (default) | month
+api.get('/stats', (req, res) => {
+  const interval = (req.query.interval || 'week').toString().toLowerCase();
+  if (!STAT_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `interval must be one of ${STAT_INTERVALS.join(', ')}` });
+  }
+  const { listingsCache, changeHistory, listingsLastUpdated } = req.tenant;
+  const result = filterListings(req.tenant, listingsCache, req.query);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({
+    ...buildStats(result.listings, changeHistory, { interval }),
     last_updated: listingsLastUpdated,
-    count: filtered.length
+    stale: req.tenant.stale
   });
 });
 
-// (Optional) Manual refresh endpoint
-app.post('/api/refresh', async (req, res) => {
-  await loadCache();
-  res.json({ refreshed: true, count: listingsCache.length });
+// ---- Manual refresh
+// Each refresh is a full Buildout crawl, so the route needs credentials
+// (ADMIN_TOKEN and/or REFRESH_HMAC_SECRET; without either it is disabled):
+//   Authorization: Bearer <ADMIN_TOKEN>
+// or an HMAC-SHA256 signature, hex, keyed with REFRESH_HMAC_SECRET over
+// "<timestamp>.<request path>" (e.g. "1767225600./api/west/refresh", no
+// query string):
+//   X-Refresh-Timestamp: <unix seconds, within HMAC_MAX_SKEW_SECONDS>
+//   X-Refresh-Signature: sha256=<hex>
+const HMAC_MAX_SKEW_SECONDS = 5 * 60;
+
+// Constant-time string comparison, so response timing leaks nothing about
+// how much of a guess was right.
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function isRefreshAuthorized(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (config.adminToken && bearer && safeEqual(bearer[1].trim(), config.adminToken)) {
+    return true;
+  }
+
+  const timestamp = req.get('X-Refresh-Timestamp');
+  const signature = req.get('X-Refresh-Signature');
+  if (!config.refreshHmacSecret || !timestamp || !signature) return false;
+  if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > HMAC_MAX_SKEW_SECONDS) {
+    return false;
+  }
+  const expected = crypto
+    .createHmac('sha256', config.refreshHmacSecret)
+    // the path only, so a query string never changes what was signed
+    .update(`${timestamp}.${req.baseUrl}${req.path}`)
+    .digest('hex');
+  return safeEqual(signature.replace(/^sha256=/, ''), expected);
+}
+
+// Refresh the tenant's cache now.  A call while a crawl is running waits for
+// that crawl (joined: true); otherwise calls within REFRESH_COOLDOWN_SECONDS
+// of the last crawl finishing get a 429 with Retry-After.  The response is
+// the crawl's outcome (see loadCache()); 502 when Buildout failed and the
+// proxy kept or restored its previous data.
+api.post('/refresh', async (req, res) => {
+  const { tenant } = req;
+  if (!config.adminToken && !config.refreshHmacSecret) {
+    return res.status(403).json({
+      error: 'Manual refresh is disabled; set ADMIN_TOKEN or REFRESH_HMAC_SECRET to enable it'
+    });
+  }
+  if (!isRefreshAuthorized(req)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const joined = !!tenant.refreshing;
+  if (!joined && tenant.lastRefresh) {
+    const last = tenant.lastRefresh;
+    const finishedAt = new Date(last.started_at).getTime() + last.duration_ms;
+    const waitMs = finishedAt + config.refreshCooldownSeconds * 1000 - Date.now();
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Refresh cooling down',
+        retry_after_seconds: retryAfter,
+        last_refresh: last
+      });
+    }
+  }
+
+  const outcome = await refreshTenant(tenant);
+  res.status(outcome.ok ? 200 : 502).json({
+    refreshed: outcome.ok,
+    joined,
+    tenant: tenant.id,
+    ...outcome,
+    last_updated: tenant.listingsLastUpdated,
+    stale: tenant.stale
+  });
 });
 
-// Also preload brokers (optional)
-let brokersCache = [];
-app.get('/api/brokers', async (req, res) => {
-  if (brokersCache.length) return res.json({ brokers: brokersCache });
+// Brokers are loaded with the listings in loadCache(); fetch on demand only if
+// that has not happened yet (e.g. the first crawl failed).
+api.get('/brokers', async (req, res) => {
+  const { tenant } = req;
+  if (tenant.brokersCache.length) return res.json({ brokers: tenant.brokersCache });
   try {
-    const resp = await axios.get('https://buildout.com/api/v1/ad60e63d545c98569763dd4b3bf32816b6f1b755/brokers.json');
-    brokersCache = resp.data.brokers || [];
-    res.json({ brokers: brokersCache });
+    tenant.brokersCache = await fetchBrokers(tenant);
+    res.json({ brokers: tenant.brokersCache });
   } catch (e) {
     res.status(500).json({ error: 'Failed to fetch brokers' });
   }
 });
 
-// Lease Spaces endpoint with cache
-app.get('/api/lease_spaces', async (req, res) => {
-  const cacheKey = 'lease_spaces';
-  const cached = cache.get(cacheKey);
+// Broker directory: every broker as a public summary (see toBrokerSummary)
+// plus `active_listings`, the number of active listings they are on.
+// Sorted by last name, then first name.
+api.get('/brokers/directory', (req, res) => {
+  const { listingsCache, brokersCache, listingsLastUpdated } = req.tenant;
+  const counts = new Map();
+  for (const l of listingsCache) {
+    if (!l.isActive) continue;
+    // a broker listed as both first and second broker counts once
+    for (const id of new Set(l.brokers.map((b) => String(b.id)))) {
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+  }
+  const brokers = brokersCache
+    .map((b) => ({ ...toBrokerSummary(b), active_listings: counts.get(String(b.id)) || 0 }))
+    .sort((a, b) =>
+      a.last_name.localeCompare(b.last_name) || a.first_name.localeCompare(b.first_name)
+    );
+  res.json({ brokers, last_updated: listingsLastUpdated, stale: req.tenant.stale });
+});
 
-  if (cached) {
-    return res.json(cached); // Serve cached
+// Lease spaces endpoint (serves from cache only).  Accepts the same
+// limit/offset/cursor parameters as /api/listings and returns every space,
+// active or not; the active ones are also joined into each listing.
+api.get('/lease_spaces', (req, res) => {
+  const page = parsePageParams(req.tenant, req.query);
+  if (page.error) {
+    return res.status(page.status).json({ error: page.error, message: page.message });
   }
 
-  try {
-    // You might need to adjust the limit for your API!
-    const response = await axios.get('https://buildout.com/api/v1/ad60e63d545c98569763dd4b3bf32816b6f1b755/lease_spaces.json', {
-      params: { limit: 1000 } // Increase if your org has more than 1000 spaces!
-    });
-    cache.set(cacheKey, response.data);
-    res.json(response.data);
-  } catch (error) {
-    console.error("❌ Error fetching lease spaces:", error.message);
-    res.status(500).json({ error: 'Failed to fetch lease spaces', message: error.message });
+  const { items, meta } = paginate(req.tenant, req.tenant.leaseSpacesCache, page);
+  res.json({
+    lease_spaces: items,
+    last_updated: req.tenant.listingsLastUpdated,
+    stale: req.tenant.stale,
+    ...meta
+  });
+});
+
+// Tenant branding (config "branding"), for clients that white-label the
+// table: { tenant, branding: { name, logoUrl } }.
+api.get('/branding', (req, res) => {
+  res.json({ tenant: req.tenant.id, branding: req.tenant.branding });
+});
+
+// Where a tenant's cache and refreshes stand, for /api/status.
+function tenantStatus(tenant) {
+  return {
+    tenant: tenant.id,
+    listingsLastUpdated: tenant.listingsLastUpdated,
+    stale: tenant.stale,
+    cache: {
+      listings: tenant.listingsCache.length,
+      brokers: tenant.brokersCache.length,
+      lease_spaces: tenant.leaseSpacesCache.length
+    },
+    refreshing: !!tenant.refreshing,
+    // { ok, started_at, duration_ms, pages, count, added, removed, changed,
+    //   error? } from loadCache(), or null before the first crawl
+    last_refresh: tenant.lastRefresh,
+    next_refresh_at: tenant.nextRefreshAt,
+    buildout_circuit: tenant.fetcher.state()
+  };
+}
+
+// Status of one tenant's cache and refreshes (at /api/status for the
+// default tenant, /api/<tenant>/status for the others).
+api.get('/status', (req, res) => {
+  res.json(tenantStatus(req.tenant));
+});
+
+// ---- Health checks
+// Liveness: the process is up and answering.
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime_seconds: Math.round((Date.now() - startedAt.getTime()) / 1000) });
+});
+
+// Readiness: every tenant's cache is loaded (from disk or Buildout), so the
+// data routes have something to serve.  503 until then, e.g. during the
+// first crawl after a deploy with an empty cache directory.
+app.get('/readyz', (req, res) => {
+  const waiting = [...tenants.values()].filter((t) => !t.listingsLastUpdated).map((t) => t.id);
+  res.status(waiting.length ? 503 : 200).json({
+    status: waiting.length ? 'loading' : 'ready',
+    waiting
+  });
+});
+
+// ---- Metrics endpoint
+// Gauges are read from the tenants at scrape time.
+metrics.gauge('proxy_cache_items', 'Items in each tenant\'s in-memory cache, by cache.', () =>
+  [...tenants.values()].flatMap((t) => [
+    [{ tenant: t.id, cache: 'listings' }, t.listingsCache.length],
+    [{ tenant: t.id, cache: 'brokers' }, t.brokersCache.length],
+    [{ tenant: t.id, cache: 'lease_spaces' }, t.leaseSpacesCache.length]
+  ]));
+metrics.gauge('proxy_cache_last_updated_seconds', 'Unix time each tenant\'s cache was last refreshed (0 = never).', () =>
+  [...tenants.values()].map((t) => [
+    { tenant: t.id },
+    t.listingsLastUpdated ? new Date(t.listingsLastUpdated).getTime() / 1000 : 0
+  ]));
+metrics.gauge('proxy_cache_stale', '1 while a tenant is serving last good data after a failed refresh.', () =>
+  [...tenants.values()].map((t) => [{ tenant: t.id }, t.stale ? 1 : 0]));
+metrics.gauge('proxy_last_refresh_duration_seconds', 'How long each tenant\'s last refresh took.', () =>
+  [...tenants.values()]
+    .filter((t) => t.lastRefresh)
+    .map((t) => [{ tenant: t.id }, t.lastRefresh.duration_ms / 1000]));
+metrics.gauge('proxy_buildout_circuit_open', '1 while a tenant\'s Buildout circuit breaker is open.', () =>
+  [...tenants.values()].map((t) => [{ tenant: t.id }, t.fetcher.state() === 'open' ? 1 : 0]));
+
+// Prometheus scrape endpoint (text format; see metrics.js).
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Every tenant served, with its branding and cache state.
+app.get('/api/tenants', (req, res) => {
+  res.json({
+    default_tenant: config.defaultTenant,
+    tenants: [...tenants.values()].map((t) => ({
+      id: t.id,
+      branding: t.branding,
+      count: t.listingsCache.length,
+      last_updated: t.listingsLastUpdated,
+      stale: t.stale
+    }))
+  });
+});
+
+// /api/<tenant>/... serves that tenant; the un-prefixed /api/... routes serve
+// the default tenant, so single-account deploys and existing clients keep
+// working unchanged.
+app.use('/api/:tenant', (req, res, next) => {
+  if (!tenants.has(req.params.tenant)) return next();
+  req.tenant = tenants.get(req.params.tenant);
+  api(req, res, next);
+});
+app.use('/api', (req, res, next) => {
+  if (req.tenant) return next();
+  req.tenant = tenants.get(config.defaultTenant);
+  if (!req.tenant) {
+    return res.status(404).json({ error: 'Unknown tenant', tenants: [...tenants.keys()] });
   }
+  api(req, res, next);
+});
+// Anything else under /api: an unknown route, or a tenant id that isn't
+// configured (/api/nope/listings).  API clients always get JSON back, never
+// Express's HTML error page.
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: 'Not found', path: req.baseUrl + req.path, tenants: [...tenants.keys()] });
 });
 
-// Start server & load cache on boot
-app.listen(PORT, async () => {
-  // On boot, attempt to load persisted listings from disk.  This avoids
-  // hammering the Buildout API every time the process starts.
-  if (fs.existsSync(LISTINGS_FILE)) {
-    try {
-      const json = JSON.parse(fs.readFileSync(LISTINGS_FILE, 'utf8'));
-      listingsCache = json.listings || [];
-      listingsLastUpdated = json.lastUpdated
-        ? new Date(json.lastUpdated)
-        : null;
+// Read a tenant's persisted history and snapshot on boot.  This avoids
+// hammering the Buildout API every time the process starts.
+function restoreTenant(tenant) {
+  // Change history first: setCaches() uses it to date the listings.
+  try {
+    tenant.changeHistory = readChangeHistory(tenant);
+  } catch (err) {
+    console.warn(`⚠️ [${tenant.id}] Failed to parse change history, starting fresh:`, err.message);
+  }
+
+  try {
+    const snapshot = readSnapshot(tenant);
+    if (snapshot) {
+      setCaches(tenant, snapshot);
       console.log(
-        `💾 Loaded ${listingsCache.length} listings from disk (last updated ${listingsLastUpdated}).`
-      );
-    } catch (err) {
-      console.warn(
-        '⚠️ Failed to parse existing cache file, ignoring:',
-        err.message
+        `💾 [${tenant.id}] Loaded ${tenant.listingsCache.length} listings from disk (last updated ${tenant.listingsLastUpdated}).`
       );
     }
+  } catch (err) {
+    console.warn(
+      `⚠️ [${tenant.id}] Failed to parse existing cache file, ignoring:`,
+      err.message
+    );
   }
+}
 
-  // If we have no cached data or it's older than 24 hours, refresh now.
-  const oneDayMs = 24 * 60 * 60 * 1000;
-  const now = Date.now();
-  if (
-    !listingsLastUpdated ||
-    now - new Date(listingsLastUpdated).getTime() > oneDayMs
-  ) {
-    await loadCache();
-  } else {
-    console.log('✅ Using existing cached data; skipping immediate refresh.');
-  }
+// Start server & load caches on boot
+app.listen(PORT, async () => {
+  console.log(`✅ Proxy server running on port ${PORT} (tenants: ${[...tenants.keys()].join(', ')})`);
+
+  // Tenants load one after another so a deploy with several accounts
+  // doesn't crawl Buildout in parallel.
+  for (const tenant of tenants.values()) {
+    restoreTenant(tenant);
 
-  // Set up automatic refresh every 24 hours.  This ensures your data stays
-  // current without manual intervention or re-deploys.  If you need more
-  // frequent updates, adjust the interval accordingly.
-  setInterval(async () => {
-    console.log('🔄 Performing scheduled cache refresh…');
-    await loadCache();
-  }, oneDayMs);
+    // If we have no cached data or it's older than the refresh interval,
+    // refresh now.  Snapshots written before brokers were stored alongside
+    // listings have no broker data to enrich with, so they are refreshed as
+    // well.
+    const now = Date.now();
+    if (
+      !tenant.listingsLastUpdated ||
+      !tenant.brokersCache.length ||
+      now - new Date(tenant.listingsLastUpdated).getTime() > tenant.refreshIntervalMs
+    ) {
+      await refreshTenant(tenant);
+    } else {
+      console.log(`✅ [${tenant.id}] Using existing cached data; skipping immediate refresh.`);
+    }
 
-  console.log(`✅ Proxy server running on port ${PORT}`);
+    // Set up automatic refresh every refreshIntervalHours (default 24), per
+    // tenant.  This ensures the data stays current without manual
+    // intervention or re-deploys.
+    tenant.nextRefreshAt = new Date(Date.now() + tenant.refreshIntervalMs);
+    setInterval(async () => {
+      tenant.nextRefreshAt = new Date(Date.now() + tenant.refreshIntervalMs);
+      console.log(`🔄 [${tenant.id}] Performing scheduled cache refresh…`);
+      await refreshTenant(tenant);
+    }, tenant.refreshIntervalMs);
+  }
 });